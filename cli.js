@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+// YT-Script-Optimizer command line
+// Runs optimizeScript on local .txt/.md scripts without starting the MCP server
+
+const fs = require('fs');
+const path = require('path');
+const YTScriptOptimizer = require('./index.js');
+
+const usage = `Usage: yt-script-optimizer <file or directory>... [options]
+
+Optimizes each .txt or .md script (directories are searched recursively).
+
+Options:
+  -c, --concept <text>      Video concept (default: the file name)
+  -k, --keywords <file>     Keywords JSON from the analyzer
+  -s, --style <style>       Content style (default: tutorial)
+  -l, --level <level>       light, moderate or aggressive (default: moderate)
+  -d, --duration <minutes>  Target duration in minutes (default: 10)
+      --language <code>     Script language (default: en)
+  -p, --profile <id>        Channel profile from PROFILES_DIR
+      --seed <seed>         Seed for phrase choices
+  -f, --format <format>     report, json or script (default: report)
+  -o, --output <path>       Write the report or JSON to this file. With --format script, the
+                            optimized script goes to this file or directory (default: next to
+                            the input as <name>.optimized.<ext>)
+      --max-warnings <n>    Exit with code 1 when there are more than n warnings in total
+      --no-rewrite          Don't send edits to the rewrite backend
+  -h, --help                Show this help
+
+Exit codes: 0 done, 1 over --max-warnings, 2 bad arguments or a script failed.`;
+
+const flags = {
+  '-c': 'concept',
+  '--concept': 'concept',
+  '-k': 'keywords',
+  '--keywords': 'keywords',
+  '-s': 'style',
+  '--style': 'style',
+  '-l': 'level',
+  '--level': 'level',
+  '-d': 'duration',
+  '--duration': 'duration',
+  '--language': 'language',
+  '-p': 'profile',
+  '--profile': 'profile',
+  '--seed': 'seed',
+  '-f': 'format',
+  '--format': 'format',
+  '-o': 'output',
+  '--output': 'output',
+  '--max-warnings': 'maxWarnings'
+};
+const formats = ['report', 'json', 'script'];
+const extensions = ['.txt', '.md'];
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const options = { format: 'report', rewrite: true, inputs: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg === '--no-rewrite') {
+      options.rewrite = false;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      // --flag value or --flag=value
+      const [flag, inline] = arg.split(/=(.*)/s);
+      const name = flags[flag];
+      if (!name) throw new UsageError(`Unknown option ${flag}`);
+      const value = inline !== undefined ? inline : argv[++i];
+      if (value === undefined) throw new UsageError(`${flag} needs a value`);
+      options[name] = value;
+    } else {
+      options.inputs.push(arg);
+    }
+  }
+
+  if (!formats.includes(options.format)) {
+    throw new UsageError(`--format must be one of ${formats.join(', ')}`);
+  }
+  if (options.duration !== undefined) {
+    options.duration = Number(options.duration);
+    if (!(options.duration > 0)) throw new UsageError('--duration must be a positive number of minutes');
+  }
+  if (options.maxWarnings !== undefined) {
+    options.maxWarnings = Number(options.maxWarnings);
+    if (!Number.isInteger(options.maxWarnings) || options.maxWarnings < 0) {
+      throw new UsageError('--max-warnings must be a whole number');
+    }
+  }
+  if (options.seed !== undefined && /^-?\d+$/.test(options.seed)) {
+    options.seed = Number(options.seed);
+  }
+
+  return options;
+}
+
+// Script files under each input, with the directory they were found from
+function collectFiles(inputs) {
+  const files = [];
+  const walk = (dir, root) => {
+    fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!entry.name.startsWith('.') && entry.name !== 'node_modules') walk(file, root);
+        } else if (extensions.includes(path.extname(entry.name).toLowerCase()) && !/\.optimized\.\w+$/.test(entry.name)) {
+          files.push({ file, root });
+        }
+      });
+  };
+
+  inputs.forEach(input => {
+    if (!fs.existsSync(input)) throw new UsageError(`${input} does not exist`);
+    if (fs.statSync(input).isDirectory()) {
+      walk(input, input);
+    } else {
+      files.push({ file: input, root: path.dirname(input) });
+    }
+  });
+
+  return files;
+}
+
+// "sourdough-starter_tips.md" -> "sourdough starter tips"
+function conceptFromFile(file) {
+  return path.basename(file, path.extname(file)).replace(/[-_]+/g, ' ').trim();
+}
+
+function lineAndColumn(text, offset) {
+  const before = text.slice(0, offset).split('\n');
+  return `${before.length}:${before[before.length - 1].length + 1}`;
+}
+
+function formatReport(file, result) {
+  const { original, optimized } = result;
+  const lines = [file];
+  const readability = optimized.analysis.readabilityScore;
+
+  lines.push(`  Duration ${optimized.analysis.estimatedDuration} (target ${result.targetDuration} min), ${optimized.analysis.wordCount} words` +
+    (readability.score !== null ? `, readability ${readability.score} (${readability.level})` : ''));
+  lines.push(`  Keyword density ${original.analysis.keywordDensity}% -> ${optimized.analysis.keywordDensity}%, ` +
+    `keywords found ${original.analysis.keywordsFound} -> ${optimized.analysis.keywordsFound}`);
+
+  if (result.optimizations.length > 0) {
+    lines.push('  Changes:');
+    result.optimizations.forEach(change => lines.push(`    ${change.priority.padEnd(6)}  ${change.suggestion}`));
+  }
+
+  const placements = result.callsToAction?.placements || [];
+  if (placements.length > 0) {
+    lines.push('  Calls to action:');
+    placements.forEach(placement => lines.push(`    ${placement.timestamp.padStart(5)}  ${placement.cue || placement.text.trim()}`));
+  }
+
+  if (result.warnings.length > 0) {
+    lines.push('  Warnings:');
+    result.warnings.forEach(warning => {
+      const where = typeof warning.offset === 'number' && !warning.patchId ? lineAndColumn(original.script, warning.offset) : '-';
+      lines.push(`    ${where.padEnd(7)} ${(warning.severity || 'warning').padEnd(7)}  ${warning.message}`);
+    });
+  }
+
+  lines.push(`  ${result.patches.length} patch(es), ${result.warnings.length} warning(s)`);
+  return lines.join('\n');
+}
+
+// Where --format script writes: --output as a file for one input or as a directory, else next to the input
+function scriptTarget({ file, root }, output, single) {
+  if (!output) {
+    const ext = path.extname(file);
+    return path.join(path.dirname(file), `${path.basename(file, ext)}.optimized${ext}`);
+  }
+  const isDirectory = fs.existsSync(output) ? fs.statSync(output).isDirectory() : !single || output.endsWith(path.sep);
+  return isDirectory ? path.join(output, path.relative(root, file)) : output;
+}
+
+async function main(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    process.stdout.write(`${usage}\n`);
+    return 0;
+  }
+  if (options.inputs.length === 0) {
+    throw new UsageError('No script files given');
+  }
+
+  const keywords = options.keywords ? JSON.parse(fs.readFileSync(options.keywords, 'utf8')) : undefined;
+  const files = collectFiles(options.inputs);
+  if (files.length === 0) {
+    throw new UsageError(`No ${extensions.join(' or ')} files found`);
+  }
+
+  const optimizer = new YTScriptOptimizer();
+  optimizer.loadProfiles(optimizer.profilesDir);
+  const schema = optimizer.getToolDefinitions().find(tool => tool.name === 'optimizeScript').inputSchema;
+
+  const results = [];
+  let failed = 0;
+  for (const entry of files) {
+    try {
+      const args = {
+        script: fs.readFileSync(entry.file, 'utf8'),
+        concept: options.concept || conceptFromFile(entry.file),
+        keywords,
+        contentStyle: options.style,
+        optimizationLevel: options.level,
+        targetDuration: options.duration,
+        language: options.language,
+        profile: options.profile,
+        seed: options.seed,
+        rewrite: options.rewrite
+      };
+      Object.keys(args).forEach(key => args[key] === undefined && delete args[key]);
+
+      const errors = optimizer.validateSchema(args, schema);
+      if (errors.length > 0) {
+        throw new UsageError(errors.map(error => `${error.field} ${error.message}`).join('; '));
+      }
+
+      results.push({ ...entry, result: await optimizer.optimizeScript(args) });
+    } catch (error) {
+      if (error instanceof UsageError) throw error;
+      failed++;
+      process.stderr.write(`${entry.file}: ${error.message}\n`);
+    }
+  }
+
+  if (options.format === 'script') {
+    results.forEach(entry => {
+      const target = scriptTarget(entry, options.output, files.length === 1);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, entry.result.optimized.script);
+      process.stdout.write(`${entry.file} -> ${target} (${entry.result.warnings.length} warning(s))\n`);
+    });
+  } else {
+    const text = options.format === 'json'
+      ? JSON.stringify(results.map(({ file, result }) => ({ file, ...result })), null, 2)
+      : results.map(({ file, result }) => formatReport(file, result)).join('\n\n');
+    if (options.output) {
+      fs.writeFileSync(options.output, `${text}\n`);
+    } else {
+      process.stdout.write(`${text}\n`);
+    }
+  }
+
+  const warnings = results.reduce((sum, { result }) => sum + result.warnings.length, 0);
+  if (failed > 0) return 2;
+  if (options.maxWarnings !== undefined && warnings > options.maxWarnings) {
+    process.stderr.write(`${warnings} warning(s), more than the --max-warnings limit of ${options.maxWarnings}\n`);
+    return 1;
+  }
+  return 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    process.stderr.write(error instanceof UsageError ? `${error.message}\n\n${usage}\n` : `${error.message}\n`);
+    process.exitCode = 2;
+  });
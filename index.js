@@ -1,7 +1,114 @@
 // YT-Script-Optimizer MCP Server
 // Optimizes video scripts for SEO keyword integration and engagement
 
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const readline = require('readline');
+const { AsyncLocalStorage } = require('async_hooks');
 const WebSocket = require('ws');
+const { v4: uuidv4 } = require('uuid');
+
+// Rewrite backends take { task, text, keyword, language, contentStyle } and resolve to the rewritten text.
+// task is 'hook', 'keyword' or 'cta'.
+
+// Calls any OpenAI-compatible chat completions endpoint
+class OpenAIRewriteProvider {
+  constructor({ baseUrl = 'https://api.openai.com/v1', apiKey, model = 'gpt-4o-mini', timeoutMs = 15000 } = {}) {
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async rewrite({ task, text, keyword, language, contentStyle }) {
+    const instructions = {
+      hook: `Rewrite this opening as a punchy spoken hook under 25 words that mentions "${keyword}".`,
+      keyword: `Work the phrase "${keyword}" naturally into this sentence without changing its meaning.`,
+      cta: `Polish this call to action for a ${contentStyle} video so it sounds natural and still asks viewers to subscribe.`
+    };
+
+    const response = await this.post('/chat/completions', {
+      model: this.model,
+      temperature: 0.3,
+      messages: [
+        { role: 'system', content: 'You rewrite short passages of YouTube scripts. Keep the speaker\'s voice and meaning. Reply with the rewritten passage only, no quotes or commentary.' },
+        { role: 'user', content: `${instructions[task]} Write in ${language}.\n\n${text}` }
+      ]
+    });
+
+    const content = response.choices?.[0]?.message?.content;
+    if (typeof content !== 'string' || !content.trim()) {
+      throw new Error('Rewrite backend returned no text');
+    }
+    return content.trim().replace(/^["“](.*)["”]$/s, '$1');
+  }
+
+  post(path, body) {
+    const url = new URL(this.baseUrl + path);
+    const payload = JSON.stringify(body);
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        },
+        timeout: this.timeoutMs
+      }, res => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            reject(new Error(`Rewrite backend responded ${res.statusCode}`));
+            return;
+          }
+          try {
+            resolve(JSON.parse(data));
+          } catch (error) {
+            reject(new Error('Rewrite backend returned invalid JSON'));
+          }
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`Rewrite backend timed out after ${this.timeoutMs}ms`)));
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+}
+
+// Deterministic offline stand-in for tests and demos
+class MockRewriteProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  async rewrite({ task, text, keyword }) {
+    const body = text.trim().replace(/[.!?]+$/, '');
+
+    switch (task) {
+      // Same contract as the prompt: a new hook under 25 words, not the opening carried along
+      case 'hook':
+        return `Want to get better at ${keyword}? Here's what actually works.`;
+      case 'keyword':
+        return `${body} for ${keyword}.`;
+      case 'cta':
+        return keyword
+          ? `If this helped with ${keyword}, subscribe so you don't miss the next one!`
+          : 'If this helped, subscribe so you don\'t miss the next one!';
+      default:
+        throw new Error(`Unknown rewrite task: ${task}`);
+    }
+  }
+}
 
 class YTScriptOptimizer {
   constructor() {
@@ -10,13 +117,121 @@ class YTScriptOptimizer {
     this.capabilities = ['youtube', 'script', 'keywords', 'optimization'];
     this.port = process.env.PORT || 3000;
 
+    // Network hardening. Setting API_KEYS turns on auth for WebSocket upgrades and /mcp;
+    // limits apply per API key, or per IP address without auth
+    this.apiKeys = (process.env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean);
+    this.maxPayloadBytes = Number(process.env.MAX_PAYLOAD_BYTES) || 1024 * 1024;
+    this.rateLimit = { requests: Number(process.env.RATE_LIMIT) || 120, windowMs: 60 * 1000 };
+    this.maxConcurrentRequests = Number(process.env.MAX_CONCURRENT_REQUESTS) || 4;
+    this.heartbeatMs = Number(process.env.HEARTBEAT_INTERVAL_MS) || 30 * 1000;
+    this.idleTimeoutMs = Number(process.env.IDLE_TIMEOUT_MS) || 5 * 60 * 1000;
+    this.shutdownTimeoutMs = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10 * 1000;
+    this.clients = new Map();
+    this.inFlightRequests = new Set();
+    this.draining = false;
+    this.ready = false;
+
+    // JSON log lines (Cloud Logging reads severity and message); LOG_LEVEL=debug|info|warn|error
+    this.logLevels = { debug: 10, info: 20, warn: 30, error: 40 };
+    this.logLevel = this.logLevels[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+    // Fields whose values never reach the logs, only their length
+    this.redactedFields = ['script', 'content', 'sample', 'text', 'original', 'concept', 'authorization', 'apiKey', 'api_key'];
+    // Request ID and JSON-RPC id of the request being handled, added to every log line
+    this.requestScope = new AsyncLocalStorage();
+
+    // Prometheus metrics served on /metrics
+    this.startedAt = Date.now();
+    this.latencyBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+    this.metrics = {
+      requests: new Map(),
+      latency: new Map(),
+      errors: new Map(),
+      scriptLength: { sum: 0, count: 0 }
+    };
+
+    // MCP protocol revisions we speak, newest first
+    this.protocolVersions = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
     // Script structure recommendations
+    // `window` is where the section should sit on the timeline, `length` is how long it should run
     this.scriptStructure = {
-      hook: { duration: '0-15 seconds', purpose: 'Grab attention, state value proposition' },
-      intro: { duration: '15-45 seconds', purpose: 'Introduce topic, establish credibility' },
+      hook: { duration: '0-15 seconds', purpose: 'Grab attention, state value proposition', window: [0, 15] },
+      intro: { duration: '15-45 seconds', purpose: 'Introduce topic, establish credibility', window: [15, 45] },
       body: { duration: 'Main content', purpose: 'Deliver value, integrate keywords naturally' },
-      cta: { duration: '15-30 seconds', purpose: 'Call to action, engagement prompts' },
-      outro: { duration: '10-20 seconds', purpose: 'Summarize, tease next video' }
+      cta: { duration: '15-30 seconds', purpose: 'Call to action, engagement prompts', length: [15, 30] },
+      outro: { duration: '10-20 seconds', purpose: 'Summarize, tease next video', length: [10, 20] }
+    };
+
+    // Speaking rate used for every timing estimate
+    this.wordsPerMinute = 150;
+
+    // Pauses (seconds) the pacing model adds on top of articulation time
+    this.pauses = { clause: 0.25, sentence: 0.5, ellipsis: 0.6, paragraph: 0.9, marker: 1 };
+    // Share of a typical read spent pausing; the languages' words-per-minute rates include it
+    this.pauseShare = 0.12;
+
+    // Above this keyword density (%) a script reads as stuffed
+    this.maxKeywordDensity = 3;
+
+    // CTA placement: calls to action closer than this (seconds) feel stacked, and YouTube
+    // shows end screens over the last 5-20 seconds
+    this.minCtaGapSeconds = 20;
+    this.endScreenWindow = [5, 20];
+    this.editorCues = { endScreen: '[END SCREEN: next video]', card: '[CARD: related video]' };
+
+    // Optional model backend for rephrasing rule-based edits (REWRITE_PROVIDER=openai|mock)
+    this.rewriter = this.createRewriter(process.env);
+
+    // Channel profiles by ID, loaded from PROFILES_DIR and registered through registerProfile
+    this.contentStyles = ['tutorial', 'review', 'vlog', 'educational', 'entertainment'];
+    this.profiles = new Map();
+    // Pacing calibration per profile calibration object and language
+    this.calibrations = new WeakMap();
+    this.profilesDir = process.env.PROFILES_DIR || path.join(__dirname, 'profiles');
+    // registerProfile can write files only behind auth or when the operator opts in
+    this.profileSaveAllowed = this.apiKeys.length > 0 || process.env.ALLOW_PROFILE_SAVE === 'true';
+    this.maxProfiles = Number(process.env.MAX_PROFILES) || 100;
+
+    // Saved script versions, one JSON file per project
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+    // Long-lived connections that can receive server-initiated notifications
+    this.listeners = new Set();
+
+    // Batch optimization jobs by ID
+    this.jobs = new Map();
+    this.maxBatchSize = 100;
+    this.maxBatchConcurrency = 10;
+    this.maxOpenJobs = Number(process.env.MAX_OPEN_JOBS) || 3;
+    this.jobRetentionMs = 60 * 60 * 1000;
+
+    // Compiled keyword matchers, keyed by keyword and its variants
+    this.keywordPatterns = new Map();
+
+    // Words whose ending only looks like an inflection, for wordForms, and short words that
+    // aren't inflected at all ("a" is not "as")
+    this.inflectionExceptions = {
+      plural: ['lens', 'news', 'series', 'species', 'gas', 'atlas', 'canvas', 'bias', 'chaos', 'always', 'perhaps', 'its', 'has', 'was', 'does'],
+      suffix: ['evening', 'morning', 'ceiling', 'during', 'nothing', 'something', 'anything', 'everything', 'hundred'],
+      fixed: ['a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'as', 'is', 'it', 'i', 'with', 'from', 'your', 'my']
+    };
+
+    // Names writers use for section markers like [HOOK] or ## Intro
+    this.sectionAliases = {
+      hook: 'hook',
+      intro: 'intro',
+      introduction: 'intro',
+      body: 'body',
+      main: 'body',
+      content: 'body',
+      cta: 'cta',
+      'call to action': 'cta',
+      'call-to-action': 'cta',
+      outro: 'outro',
+      conclusion: 'outro',
+      ending: 'outro',
+      'wrap up': 'outro',
+      'wrap-up': 'outro'
     };
 
     // Engagement phrases
@@ -50,507 +265,5494 @@ class YTScriptOptimizer {
         'Don\'t miss what\'s next'
       ]
     };
+
+    // Title patterns per content style; claims are words the script must back up
+    this.titleTemplates = {
+      all: [
+        { pattern: '{primary}: {secondary} Guide', claims: [] },
+        { pattern: '{primary}: {hook}', claims: [] },
+        { pattern: '{longTail}', claims: [] }
+      ],
+      tutorial: [
+        { pattern: '{primary}: Step-by-Step Tutorial', claims: [], needsSteps: true },
+        { pattern: '{primary} in {steps} Simple Steps', claims: [] },
+        { pattern: '{primary} for Beginners: {secondary} Made Easy', claims: ['beginner'] },
+        { pattern: '{primary} Tutorial: {secondary} and {secondary2}', claims: [] },
+        { pattern: '{primary}: Mistakes to Avoid', claims: ['mistake'] }
+      ],
+      review: [
+        { pattern: '{primary} Review: Is It Worth It?', claims: ['worth'] },
+        { pattern: '{primary} Review: {secondary} Tested', claims: ['test'] },
+        { pattern: '{primary} vs {secondary}: Which Is Better?', claims: ['better'] },
+        { pattern: '{primary}: {steps} Things to Know Before You Buy', claims: ['buy'] }
+      ],
+      vlog: [
+        { pattern: '{primary} Vlog: {secondary}', claims: [] },
+        { pattern: '{primary}: A Day in My Life', claims: ['day'] },
+        { pattern: '{primary}: What Really Happened', claims: ['happened'] }
+      ],
+      educational: [
+        { pattern: '{primary} Explained: {secondary} and {secondary2}', claims: [] },
+        { pattern: '{primary} Explained in {minutes} Minutes', claims: [] },
+        { pattern: 'What Is {primary}? {secondary} Explained', claims: [] },
+        { pattern: '{primary}: {steps} Key Ideas You Need to Know', claims: [] }
+      ],
+      entertainment: [
+        { pattern: '{primary} Challenge: {secondary}', claims: ['challenge'] },
+        { pattern: '{primary}: The Funniest Moments', claims: ['funniest'] },
+        { pattern: 'We Tried {primary} So You Don\'t Have To', claims: ['tried'] }
+      ]
+    };
+    this.maxTitleLength = 100;
+
+    // Claims, compliance and brand-safety rules for lintScript (English wording)
+    this.lintRules = {
+      // A sponsored segment needs one of these before its first sponsor cue
+      disclosure: /\b(?:sponsored by|(?:is|are|was) sponsored|sponsor(?:ed)? (?:of|for) this video|thanks to \S+(?: \S+)? for sponsoring|paid (?:promotion|partnership)|in partnership with|partnered with|affiliate links?|(?:i|we) (?:may )?(?:earn|get) a (?:small )?commission)\b|#(?:ad|sponsored)\b/i,
+      // Unambiguous on their own: enough for findSponsorSegments to call a paragraph a sponsor read
+      explicitDisclosure: /\b(?:sponsored by|(?:is|are|was) sponsored|sponsor(?:ed)? (?:of|for) this video|thanks to \S+(?: \S+)? for sponsoring|paid (?:promotion|partnership))\b|#(?:ad|sponsored)\b/i,
+      sponsorCues: /\b(?:(?:promo|discount|coupon) code|use (?:my |the |our )?code \w+|\d+% off|first \d+ (?:people|viewers|subscribers)|free trial|sign up (?:with|using|at|through) (?:my|our|the) link|link (?:is )?(?:below|in the description) to (?:get|try|claim))\b/gi,
+      claims: [
+        { category: 'health', severity: 'error', pattern: /\b(?:cures?|cured|curing)\b/gi, suggestion: 'may help with' },
+        { category: 'health', severity: 'error', pattern: /\blose \d+ (?:pounds|lbs|kilos|kg) in \d+ (?:days|weeks)\b/gi, suggestion: 'results vary from person to person' },
+        { category: 'health', severity: 'warning', pattern: /\b(?:miracle (?:cure|pill|supplement|diet)|doctors hate|clinically proven)\b/gi, suggestion: 'describe what the evidence actually shows' },
+        { category: 'finance', severity: 'error', pattern: /\b(?:guaranteed (?:returns?|profits?|gains?)|risk[- ]free (?:investment|returns?|profits?)|double your money|can'?t lose|never lose money)\b/gi, suggestion: 'returns are never guaranteed and you can lose money' },
+        { category: 'income', severity: 'error', pattern: /\b(?:make|earn) \$?\d[\d,.]*k? (?:a|per|every) (?:day|week|month)\b|\bget rich quick\b|\bguaranteed (?:income|money|paycheck)\b/gi, suggestion: 'share what you earned and that results vary' },
+        { category: 'general', severity: 'warning', pattern: /\b(?:guaranteed? (?:results?|to work)|100% (?:safe|effective|guaranteed|risk[- ]free)|works for everyone|no side effects)\b/gi, suggestion: 'worked well for me' }
+      ],
+      profanity: [
+        { severity: 'error', pattern: /\b(?:fuck\w*|motherfuck\w*|shit\w*|bullshit|bitch\w*|asshole\w*|cunt\w*)\b/gi },
+        { severity: 'warning', pattern: /\b(?:bastards?|dick(?:head)?s?|piss(?:ed)?|goddamn\w*)\b/gi },
+        { severity: 'info', pattern: /\b(?:damn\w*|crap\w*|hell of a)\b/gi }
+      ],
+      // Terms that limit or remove ads when they appear in the spoken track
+      advertiserUnfriendly: {
+        pattern: /\b(?:suicid\w*|self[- ]harm|murder\w*|massacre\w*|mass shooting|overdos\w*|cocaine|heroin|meth|terroris\w*|bombing|porn\w*|nsfw|nazi\w*)\b/gi,
+        suggestions: {
+          suicide: 'took their own life (and add support resources)',
+          murder: 'killed',
+          overdose: 'a drug-related death',
+          porn: 'adult content',
+          nsfw: 'not for work'
+        }
+      },
+      // Engagement bait YouTube policy discourages: likes or comments traded for a condition or a prize
+      engagementBait: [
+        /\b(?:drop|hit|smash|leave|give)(?: (?:a|that|the|this))? like(?: button)? if\b[^.!?\n]*/gi,
+        /\blike (?:this video )?if (?:you|u)\b[^.!?\n]*/gi,
+        /\b(?:comment|type|write) ["'“]?[\w!]+["'”]? (?:below |in the comments )?(?:to|and) (?:win|enter|get|be entered)\b[^.!?\n]*/gi,
+        /\b(?:like|subscribe|share)(?:,? (?:and|&) (?:like|subscribe|share|comment))* (?:to|and) (?:win|enter|be entered)\b[^.!?\n]*/gi,
+        /\btag \d+ (?:friends|people)\b[^.!?\n]*/gi
+      ],
+      engagementSuggestion: 'Ask a genuine question instead, e.g. "What would you try first? Tell me in the comments."'
+    };
+
+    // Per-language analysis settings and phrase banks; English reuses the banks above
+    // pacing: average syllables per word behind wordsPerMinute, and how symbols and number parts are read out
+    this.languages = {
+      en: {
+        name: 'English',
+        wordsPerMinute: this.wordsPerMinute,
+        readabilityFormula: 'Flesch Reading Ease',
+        stopwords: ['a', 'an', 'the', 'and', 'or', 'but', 'if', 'so', 'to', 'of', 'in', 'on', 'at', 'for', 'with', 'about', 'from', 'by', 'as', 'into', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'these', 'those', 'i', 'you', 'your', 'we', 'our', 'they', 'their', 'he', 'she', 'my', 'me', 'do', 'does', 'did', 'have', 'has', 'had', 'will', 'can', 'just', 'not', 'no', 'what', 'how', 'why', 'when', 'which', 'who', 'all', 'more', 'most', 'some', 'any', 'there', 'here', 'then', 'than', 'too', 'very', 'up', 'out', 'get', 'got', 'going', 'let', 'lets', 'let\'s', 'i\'m', 'you\'re', 'it\'s', 'don\'t', 'really', 'also', 'one', 'like', 'video', 'today', 'use', 'make', 'makes', 'need', 'want', 'know', 'see', 'should', 'would', 'could', 'every', 'each', 'other', 'only', 'even', 'well', 'now', 'right', 'before', 'after', 'many', 'much'],
+        abbreviations: ['Mr', 'Mrs', 'Ms', 'Dr', 'Prof', 'vs', 'etc', 'e.g', 'i.e', 'approx'],
+        ctaPattern: /subscribe|like|comment/i,
+        // What each kind of call to action looks like, for the CTA planner
+        ctaKinds: {
+          subscribe: /\bsubscrib/i,
+          like: /\b(?:like (?:this|the) video|(?:hit|smash|tap|drop|leave|give (?:it|this video)) (?:a |the |that )?(?:like|thumbs up)|thumbs up)\b/i,
+          comment: /\b(?:comments?|let me know|tell me)\b/i,
+          share: /\bshare (?:this|it)\b/i,
+          notifications: /\b(?:notifications?|the bell)\b/i
+        },
+        // A sentence that opens as an ask to the viewer rather than mentioning one
+        ctaAsk: /^(?:(?:and|so|also|now|oh|okay|ok)[,\s]+)*(?:please[,\s]+)?(?:(?:don't forget|make sure|be sure|remember) to |go (?:ahead )?and )?(?:subscribe|like|hit|smash|tap|click|press|turn on|drop|leave|share|comment|let me know|tell me|give (?:it|this video))\b/i,
+        stepPattern: /step|first|next|then|finally/i,
+        directAddressPattern: /\byou(r|'re|'ll|'ve)?\b/gi,
+        pacing: {
+          syllablesPerWord: 1.4,
+          spoken: { '%': 'percent', '&': 'and', '+': 'plus', '=': 'equals', '@': 'at', '#': 'hashtag', '.': 'dot', '/': 'slash', $: 'dollars', '€': 'euros', '£': 'pounds', point: 'point', times: 'times', to: 'to' }
+        },
+        phrases: this.engagementPhrases,
+        templates: {
+          leadIn: 'When it comes to {keyword}, ',
+          topic: 'This video is all about {keyword}.',
+          // Opening lines for a missing or weak hook; {keyword} is a noun phrase
+          hooks: [
+            'Here\'s what most people get wrong about {keyword}.',
+            'This is everything you need to know about {keyword}.',
+            'Have you ever wondered how {keyword} really works?',
+            'In this video, you\'ll learn the basics of {keyword}.'
+          ],
+          question: 'What do you think about {keyword}? Let me know in the comments.',
+          cta: 'If you found this helpful, don\'t forget to like this video and subscribe for more content like this!',
+          softSubscribe: 'If this is helping so far, subscribe so you don\'t miss the next one.',
+          commentPrompt: 'Tell me your answer in the comments.',
+          endCta: 'If you found this helpful, give it a like and check out the next video on screen.',
+          sponsorTopic: 'today\'s sponsor',
+          sponsorDisclosure: 'This video is sponsored by {sponsor}.',
+          sponsorReturn: 'Thanks to {sponsor} for sponsoring this video.',
+          fallbackTopic: 'this'
+        },
+        // Patterns the rewriting engine uses at moderate and aggressive levels
+        rewrite: {
+          filler: /^(?:(?:um+|uh+|basically|anyway|you know|okay so|ok so|alright so|so yeah)\b,?|(?:so|well|okay|ok|alright)\s*,)\s+/i,
+          greeting: /^(?:hey|hi|hello|what's up|welcome back)\b/i,
+          // Keywords that are questions or clauses, which can't fill a noun-phrase slot
+          clause: /^(?:how|what|why|when|where|which|who|whose|can|could|should|do|does|did|is|are|will|would)\b|\bhow to\b/i,
+          value: /\b(?:the (?:secret|key|trick|best (?:part|tip|way)) (?:is|to)|you(?:'ll| will) (?:save|never|finally)|saves? (?:you )?(?:hours|time|money)|(?:twice|\d+x|\d+ times) (?:as )?(?:fast|faster|more|better))\b|\d+\s?%/i,
+          split: /(?:;|,\s+(and|but|so))\s+/gi,
+          splitKeep: ['but', 'so'],
+          objectLinks: ['about', 'to', 'is'],
+          keywordSlot: {
+            pattern: /\b(the|this|that|our|your)\s+(topic|subject|process|technique|method|approach|tool|setup|recipe|skill|workflow|project)\b/i,
+            template: '$1 {keyword} $2'
+          }
+        }
+      },
+      es: {
+        name: 'Spanish',
+        wordsPerMinute: 160,
+        readabilityFormula: 'Fernández-Huerta',
+        stopwords: ['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'y', 'o', 'pero', 'si', 'de', 'del', 'a', 'al', 'en', 'con', 'por', 'para', 'sobre', 'que', 'es', 'son', 'era', 'ser', 'está', 'están', 'este', 'esta', 'esto', 'ese', 'esa', 'lo', 'le', 'les', 'se', 'te', 'tu', 'tú', 'yo', 'mi', 'me', 'nos', 'su', 'sus', 'muy', 'más', 'no', 'qué', 'cómo', 'cuando', 'como', 'hay', 'ya', 'también', 'video', 'hoy'],
+        vowels: 'aeiouáéíóúü',
+        strongVowels: 'aeoáéíóú',
+        abbreviations: ['Sr', 'Sra', 'Srta', 'Dr', 'Dra', 'Ud', 'Uds', 'etc', 'p. ej', 'aprox'],
+        ctaPattern: /suscr[ií]b|suscripci[oó]n|me gusta|like|coment/i,
+        ctaKinds: {
+          subscribe: /suscr[ií]b|suscripci[oó]n/i,
+          like: /me gusta|\blike\b/i,
+          comment: /coment|\bd[ií]me\b|cu[eé]ntame/i,
+          share: /compart/i,
+          notifications: /notificaci|campan/i
+        },
+        ctaAsk: /^[¡¿]?(?:(?:y|as[ií] que|tambi[eé]n|ahora)[,\s]+)*(?:por favor[,\s]+)?(?:no olvides |recuerda )?(?:suscr[ií]b|dale|deja|comenta|d[ií]me|cu[eé]ntame|comparte|activa|pulsa|toca)/i,
+        stepPattern: /paso|primero|luego|despu[eé]s|finalmente/i,
+        directAddressPattern: /\b(t[uú]|te|ti|tus?|usted(es)?|vosotros)\b/gi,
+        pacing: {
+          syllablesPerWord: 2.0,
+          spoken: { '%': 'por ciento', '&': 'y', '+': 'más', '=': 'igual', '@': 'arroba', '#': 'numeral', '.': 'punto', '/': 'barra', $: 'dólares', '€': 'euros', '£': 'libras', point: 'coma', times: 'veces', to: 'a' }
+        },
+        phrases: {
+          hook: [
+            'En este video aprenderás sobre',
+            'Lo que nadie te cuenta sobre',
+            'El mayor error que comete la gente con',
+            'Esto es lo que debes saber sobre',
+            'Descubre todo sobre'
+          ],
+          transition: [
+            'Ahora hablemos de',
+            'Pasemos a',
+            'Aquí es donde se pone interesante',
+            'El siguiente punto importante es',
+            'Déjame mostrarte'
+          ],
+          engagement: [
+            'Déjame saber en los comentarios',
+            'Dale like si estás de acuerdo',
+            'Suscríbete para más',
+            'Qué opinas sobre',
+            'Compártelo con alguien que lo necesite'
+          ],
+          retention: [
+            'Quédate hasta el final para',
+            'Revelaré el secreto en',
+            'Sigue viendo para descubrir',
+            'El mejor consejo está por llegar',
+            'No te pierdas lo que viene'
+          ]
+        },
+        templates: {
+          leadIn: 'Cuando se trata de {keyword}, ',
+          topic: 'Este video trata sobre {keyword}.',
+          hooks: [
+            'En este video aprenderás todo sobre {keyword}.',
+            'Esto es lo que nadie te cuenta sobre {keyword}.',
+            'Esto es lo que debes saber sobre {keyword}.'
+          ],
+          question: '¿Qué opinas sobre {keyword}? Déjame saber en los comentarios.',
+          cta: 'Si te resultó útil, no olvides darle like a este video y suscribirte para más contenido como este.',
+          softSubscribe: 'Si te está sirviendo, suscríbete para no perderte el próximo video.',
+          commentPrompt: 'Déjame tu respuesta en los comentarios.',
+          endCta: 'Si te resultó útil, dale me gusta y mira el siguiente video en pantalla.',
+          sponsorTopic: 'nuestro patrocinador de hoy',
+          sponsorDisclosure: 'Este video está patrocinado por {sponsor}.',
+          sponsorReturn: 'Gracias a {sponsor} por patrocinar este video.',
+          fallbackTopic: 'esto'
+        },
+        rewrite: {
+          filler: /^(?:(?:bueno|pues|o sea|este|eh+)\s*,)\s+/i,
+          greeting: /^(?:hola|qu[eé] tal|bienvenid[oa]s?)\b/i,
+          clause: /^(?:c[oó]mo|qu[eé]|por qu[eé]|cu[aá]ndo|d[oó]nde|cu[aá]l(?:es)?|qui[eé]n(?:es)?|se puede|puedo)\b/i,
+          value: /\b(?:el secreto|la clave|el truco) (?:es|para|de)\b|\bahorr(?:a|ar[aá]s?) (?:tiempo|dinero|horas)\b|\d+\s?%/i,
+          split: /(?:;|,\s+(y|pero))\s+/gi,
+          splitKeep: ['pero'],
+          objectLinks: ['de', 'a', 'es'],
+          keywordSlot: {
+            pattern: /\b(el|este|ese|nuestro|tu)\s+(tema|proceso|m[eé]todo|truco|proyecto)\b/i,
+            template: '$1 $2 de {keyword}'
+          }
+        }
+      },
+      de: {
+        name: 'German',
+        wordsPerMinute: 125,
+        readabilityFormula: 'Amstad',
+        stopwords: ['der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer', 'und', 'oder', 'aber', 'wenn', 'zu', 'von', 'in', 'im', 'an', 'am', 'auf', 'für', 'mit', 'über', 'aus', 'bei', 'ist', 'sind', 'war', 'sein', 'es', 'das', 'dieser', 'diese', 'dieses', 'ich', 'du', 'dich', 'dir', 'wir', 'ihr', 'sie', 'er', 'mein', 'dein', 'nicht', 'kein', 'was', 'wie', 'warum', 'auch', 'noch', 'nur', 'sehr', 'mehr', 'so', 'dann', 'jetzt', 'video', 'heute'],
+        vowels: 'aeiouyäöü',
+        abbreviations: ['z. B', 'd. h', 'u. a', 'usw', 'bzw', 'ca', 'Dr', 'Nr', 'vgl', 'evtl'],
+        ctaPattern: /abonn|like|kommentar|daumen/i,
+        ctaKinds: {
+          subscribe: /abonn/i,
+          like: /daumen|\blike/i,
+          comment: /kommentar|schreib (?:mir|es)/i,
+          share: /\bteil(?:e|t)? (?:das|dieses|es)\b/i,
+          notifications: /glocke|benachrichtig/i
+        },
+        ctaAsk: /^(?:(?:und|also|auch)[,\s]+)*(?:bitte[,\s]+)?(?:vergiss nicht,? |denk daran,? )?(?:abonnier|lass|hinterlass|schreib|teil|aktivier|klick|drück|gib)/i,
+        stepPattern: /schritt|zuerst|erstens|dann|danach|schlie(ß|ss)lich/i,
+        directAddressPattern: /\b(du|dich|dir|dein\w*|ihr|euch|euer\w*)\b/gi,
+        pacing: {
+          syllablesPerWord: 1.7,
+          spoken: { '%': 'Prozent', '&': 'und', '+': 'plus', '=': 'gleich', '@': 'at', '#': 'Hashtag', '.': 'Punkt', '/': 'Schrägstrich', $: 'Dollar', '€': 'Euro', '£': 'Pfund', point: 'Komma', times: 'mal', to: 'bis' }
+        },
+        // German nouns stay capitalized, so the lead-in ends with a colon instead of folding the sentence in
+        keepCase: true,
+        phrases: {
+          hook: [
+            'In diesem Video lernst du alles über',
+            'Das wissen die wenigsten über',
+            'Der größte Fehler bei',
+            'Hier ist alles, was du wissen musst über',
+            'Lass uns eintauchen in'
+          ],
+          transition: [
+            'Jetzt sprechen wir über',
+            'Weiter geht es mit',
+            'Jetzt wird es spannend',
+            'Der nächste wichtige Punkt ist',
+            'Lass mich dir zeigen'
+          ],
+          engagement: [
+            'Schreib es mir in die Kommentare',
+            'Lass ein Like da, wenn du zustimmst',
+            'Abonniere für mehr',
+            'Was denkst du über',
+            'Teile das mit jemandem, der es braucht'
+          ],
+          retention: [
+            'Bleib bis zum Ende für',
+            'Ich verrate das Geheimnis bei',
+            'Schau weiter, um zu entdecken',
+            'Der beste Tipp kommt gleich',
+            'Verpass nicht, was als Nächstes kommt'
+          ]
+        },
+        templates: {
+          leadIn: 'Zum Thema {keyword}: ',
+          topic: 'In diesem Video geht es um {keyword}.',
+          hooks: [
+            'In diesem Video lernst du alles über {keyword}.',
+            'Das wissen die wenigsten über {keyword}.',
+            'Hier ist alles, was du über {keyword} wissen musst.'
+          ],
+          question: 'Was denkst du über {keyword}? Schreib es mir in die Kommentare.',
+          cta: 'Wenn dir das geholfen hat, vergiss nicht, dieses Video zu liken und den Kanal zu abonnieren!',
+          softSubscribe: 'Wenn dir das bisher hilft, abonniere den Kanal, damit du das nächste Video nicht verpasst.',
+          commentPrompt: 'Schreib mir deine Antwort in die Kommentare.',
+          endCta: 'Wenn dir das geholfen hat, gib dem Video einen Daumen hoch und schau dir das nächste Video auf dem Bildschirm an.',
+          // The transitions take different cases, so the sponsor is named without an article
+          sponsorTopic: '{sponsor}',
+          sponsorDisclosure: 'Dieses Video wird von {sponsor} gesponsert.',
+          sponsorReturn: 'Danke an {sponsor} für das Sponsoring.',
+          fallbackTopic: 'das'
+        },
+        rewrite: {
+          filler: /^(?:(?:ähm?|äh|naja|also)\s*,|(?:ähm?|äh)\b)\s+/i,
+          greeting: /^(?:hallo|hey|hi|servus|moin|willkommen)\b/i,
+          clause: /^(?:wie|was|warum|wieso|wann|wo|welche[rsnm]?|wer|kann|soll|muss)\b/i,
+          value: /\b(?:das Geheimnis|der Trick|der Schlüssel) (?:ist|zu|für)\b|\bsparst du (?:Zeit|Geld|Stunden)\b|\d+\s?%/i,
+          split: /(?:;|,\s+(und|aber))\s+/gi,
+          splitKeep: ['aber'],
+          objectLinks: ['über', 'mit', 'ist'],
+          keywordSlot: {
+            pattern: /\b(das|dieses|unser|dein)\s+(Thema|Verfahren|Projekt|Setup)\b/,
+            template: '$1 $2 rund um {keyword}'
+          }
+        }
+      },
+      pt: {
+        name: 'Portuguese',
+        wordsPerMinute: 155,
+        readabilityFormula: 'Flesch (Martins et al.)',
+        stopwords: ['o', 'a', 'os', 'as', 'um', 'uma', 'uns', 'umas', 'e', 'ou', 'mas', 'se', 'de', 'do', 'da', 'dos', 'das', 'em', 'no', 'na', 'nos', 'nas', 'com', 'por', 'para', 'sobre', 'que', 'é', 'são', 'era', 'ser', 'está', 'este', 'esta', 'isso', 'isto', 'esse', 'essa', 'lhe', 'te', 'você', 'eu', 'meu', 'minha', 'seu', 'sua', 'muito', 'mais', 'não', 'como', 'quando', 'também', 'já', 'vídeo', 'hoje'],
+        vowels: 'aeiouáéíóúâêôãõàü',
+        strongVowels: 'aeoáéíóúâêôãõà',
+        diphthongs: ['ão', 'ãe', 'õe'],
+        abbreviations: ['Sr', 'Sra', 'Dr', 'Dra', 'etc', 'p. ex', 'aprox'],
+        ctaPattern: /inscrev|curt|like|coment/i,
+        ctaKinds: {
+          subscribe: /inscrev/i,
+          like: /\bcurt(?:e|a|ir|ida)\b|\blike\b/i,
+          comment: /coment|me conta/i,
+          share: /compartilh/i,
+          notifications: /notifica|sininho/i
+        },
+        ctaAsk: /^(?:(?:e|ent[aã]o|tamb[eé]m|agora)[,\s]+)*(?:por favor[,\s]+)?(?:n[aã]o esque[cç]a de |lembre-se de )?(?:se inscrev|inscreva|curta|deix[ae]|comente|me conta|compartilh|ative|clique|toque)/i,
+        stepPattern: /passo|primeiro|depois|em seguida|finalmente/i,
+        directAddressPattern: /\b(voc[eê]s?|te|tu|teu|tua)\b/gi,
+        pacing: {
+          syllablesPerWord: 1.9,
+          spoken: { '%': 'por cento', '&': 'e', '+': 'mais', '=': 'igual', '@': 'arroba', '#': 'hashtag', '.': 'ponto', '/': 'barra', $: 'dólares', '€': 'euros', '£': 'libras', point: 'vírgula', times: 'vezes', to: 'a' }
+        },
+        phrases: {
+          hook: [
+            'Neste vídeo você vai aprender sobre',
+            'O que ninguém te conta sobre',
+            'O maior erro que as pessoas cometem com',
+            'Aqui está tudo o que você precisa saber sobre',
+            'Descubra tudo sobre'
+          ],
+          transition: [
+            'Agora vamos falar sobre',
+            'Passando para',
+            'Aqui é onde fica interessante',
+            'O próximo ponto importante é',
+            'Deixa eu te mostrar'
+          ],
+          engagement: [
+            'Me conta nos comentários',
+            'Deixa o like se você concorda',
+            'Se inscreva para mais',
+            'O que você acha sobre',
+            'Compartilhe com alguém que precisa'
+          ],
+          retention: [
+            'Fique até o final para',
+            'Vou revelar o segredo em',
+            'Continue assistindo para descobrir',
+            'A melhor dica está chegando',
+            'Não perca o que vem a seguir'
+          ]
+        },
+        templates: {
+          leadIn: 'Quando se trata de {keyword}, ',
+          topic: 'Este vídeo é sobre {keyword}.',
+          hooks: [
+            'Neste vídeo você vai aprender tudo sobre {keyword}.',
+            'Aqui está tudo o que você precisa saber sobre {keyword}.',
+            'Vamos falar sobre {keyword}.'
+          ],
+          question: 'O que você acha sobre {keyword}? Me conta nos comentários.',
+          cta: 'Se este vídeo te ajudou, não esquece de deixar o like e se inscrever no canal para mais conteúdos como este!',
+          softSubscribe: 'Se isso está te ajudando, se inscreve para não perder o próximo vídeo.',
+          commentPrompt: 'Me conta sua resposta nos comentários.',
+          endCta: 'Se isso te ajudou, deixa seu like e confere o próximo vídeo na tela.',
+          sponsorTopic: 'nosso patrocinador de hoje',
+          sponsorDisclosure: 'Este vídeo é patrocinado por {sponsor}.',
+          sponsorReturn: 'Valeu, {sponsor}, por patrocinar este vídeo.',
+          fallbackTopic: 'isso'
+        },
+        rewrite: {
+          filler: /^(?:(?:então|tipo|bom|né|enfim)\s*,)\s+/i,
+          greeting: /^(?:olá|oi|e aí|fala|bem-vind[oa]s?)\b/i,
+          clause: /^(?:como|o que|por que|porque|quando|onde|qual|quais|quem|d[aá] pra|posso)\b/i,
+          value: /\b(?:o segredo|a chave|o truque) (?:é|para|de)\b|\beconomiz(?:a|ar) (?:tempo|dinheiro|horas)\b|\d+\s?%/i,
+          split: /(?:;|,\s+(e|mas))\s+/gi,
+          splitKeep: ['mas'],
+          objectLinks: ['sobre', 'para', 'é'],
+          keywordSlot: {
+            pattern: /\b(o|este|esse|nosso|seu)\s+(tema|processo|m[eé]todo|truque|projeto)\b/i,
+            template: '$1 $2 de {keyword}'
+          }
+        }
+      }
+    };
   }
 
-  start() {
-    const wss = new WebSocket.Server({ port: this.port });
+  start({ stdio = false } = {}) {
+    // Set first so problems loading profiles are logged to the right stream
+    this.transport = stdio ? 'stdio' : 'network';
+    this.loadProfiles(this.profilesDir);
 
-    wss.on('connection', (ws) => {
-      console.log(`[${new Date().toISOString()}] Client connected`);
+    if (stdio) {
+      this.startStdio();
+    } else {
+      this.startNetwork();
+    }
+  }
 
-      ws.on('message', async (message) => {
-        try {
-          const request = JSON.parse(message.toString());
-          console.log(`[${new Date().toISOString()}] Received:`, request.method);
+  // HTTP server on PORT: WebSocket upgrades on any path, JSON-RPC POSTs on /mcp
+  startNetwork() {
+    this.transport = 'network';
+    this.httpSessions = new Map();
 
-          const response = await this.handleRequest(request);
-          ws.send(JSON.stringify(response));
-        } catch (error) {
-          console.error('Error processing message:', error);
-          ws.send(JSON.stringify({
-            jsonrpc: '2.0',
-            error: { code: -32700, message: 'Parse error' },
-            id: null
-          }));
+    // A failed request (client aborted the upload, a write after the socket closed) must not take the process down
+    const httpServer = http.createServer((req, res) => this.handleHttp(req, res).catch(error => {
+      this.log('error', 'HTTP request failed', { path: req.url, error: error.message });
+      if (res.writableEnded) return;
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32603, message: 'Internal error' }, id: null }));
+    }));
+    // Frames a little over the limit still get a JSON-RPC error; anything bigger closes the socket (1009)
+    const wss = new WebSocket.Server({
+      server: httpServer,
+      maxPayload: this.maxPayloadBytes * 4,
+      verifyClient: ({ req }, done) => {
+        req.apiClient = this.authenticate(req, { allowQuery: true });
+        if (!req.apiClient) {
+          this.countError(-32002);
+          this.log('warn', 'Rejected WebSocket upgrade: unauthorized', { remoteAddress: req.socket.remoteAddress });
+          return done(false, 401, 'Unauthorized', { 'WWW-Authenticate': 'Bearer' });
+        }
+        done(true);
+      }
+    });
+    this.httpServer = httpServer;
+    this.wss = wss;
+
+    wss.on('connection', (ws, req) => {
+      const connectionId = uuidv4();
+      this.log('info', 'Client connected', { connectionId, client: req.apiClient.id });
+      ws.isAlive = true;
+      ws.lastActivity = Date.now();
+      ws.on('pong', () => { ws.isAlive = true; });
+
+      const context = this.createContext((message) => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+      });
+      context.connectionId = connectionId;
+      this.listeners.add(context);
+
+      ws.on('message', async (message) => {
+        ws.lastActivity = Date.now();
+        // Looked up per message: idle client records are pruned by the heartbeat
+        context.client = this.clientFor(req.apiClient.id);
+        const refused = this.checkLimits(context.client, message.length);
+        if (refused) {
+          this.countError(refused.code);
+          this.log('warn', refused.message, { connectionId, client: context.client.id, code: refused.code });
+          context.send(this.limitError(refused, refused.code === -32003 ? null : this.peekId(message.toString())));
+          return;
         }
+
+        const response = await this.track(context.client, () => this.processMessage(message.toString(), context));
+        ws.lastActivity = Date.now();
+        if (response) context.send(response);
       });
 
       ws.on('close', () => {
-        console.log(`[${new Date().toISOString()}] Client disconnected`);
+        this.listeners.delete(context);
+        // Nobody is left to receive the results: scripts already running finish, nothing new starts
+        this.jobs.forEach(job => {
+          if (job.connectionId === connectionId && job.status === 'running') job.cancelled = true;
+        });
+        this.log('info', 'Client disconnected', { connectionId });
       });
     });
 
-    console.log(`🚀 ${this.name} MCP server running on port ${this.port}`);
+    // Ping every heartbeatMs: drop sockets that missed the last pong, close ones idle too long
+    this.heartbeat = setInterval(() => {
+      const now = Date.now();
+      wss.clients.forEach(ws => {
+        if (!ws.isAlive) {
+          ws.terminate();
+          return;
+        }
+        if (now - ws.lastActivity > this.idleTimeoutMs) {
+          ws.close(4000, 'Idle timeout');
+          return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+
+      // Forget clients with nothing running and no requests in the current window
+      this.clients.forEach((client, id) => {
+        if (client.active === 0 && now - client.windowStart >= this.rateLimit.windowMs) this.clients.delete(id);
+      });
+    }, this.heartbeatMs);
 
-    if (process.env.REPLIT_ENVIRONMENT === 'production') {
-      console.log(`📡 Published WebSocket URL: wss://yt-script-optimizer-agt.replit.app`);
-    } else {
-      console.log(`📡 Dev WebSocket URL: ws://localhost:${this.port}`);
-    }
+    httpServer.listen(this.port, () => {
+      this.ready = true;
+    });
+
+    const production = process.env.REPLIT_ENVIRONMENT === 'production';
+    this.log('info', `${this.name} MCP server running on port ${this.port}`, {
+      websocketUrl: production ? 'wss://yt-script-optimizer-agt.replit.app' : `ws://localhost:${this.port}`,
+      httpUrl: production ? 'https://yt-script-optimizer-agt.replit.app/mcp' : `http://localhost:${this.port}/mcp`
+    });
   }
 
-  async handleRequest(request) {
-    const { method, params, id } = request;
+  // Newline-delimited JSON-RPC on stdin/stdout, for hosts that launch the server as a subprocess
+  startStdio() {
+    this.transport = 'stdio';
 
-    switch(method) {
-      case 'ping':
-        return this.handlePing(id);
+    const context = this.createContext((message) => {
+      process.stdout.write(JSON.stringify(message) + '\n');
+    });
+    context.connectionId = 'stdio';
+    this.listeners.add(context);
+    const input = readline.createInterface({ input: process.stdin });
 
-      case 'tools/list':
-        return this.handleToolsList(id);
+    input.on('line', (line) => {
+      if (!line.trim()) return;
+      this.track(null, () => this.processMessage(line, context)).then(response => {
+        if (response) context.send(response);
+      });
+    });
 
-      case 'tools/call':
-        return await this.handleToolCall(params, id);
+    // Answer everything already read before exiting
+    input.on('close', async () => {
+      await Promise.allSettled([...this.inFlightRequests]);
+      process.exit(0);
+    });
 
-      default:
-        return {
-          jsonrpc: '2.0',
-          error: { code: -32601, message: `Method not found: ${method}` },
-          id
-        };
-    }
+    this.ready = true;
+    this.log('info', `${this.name} MCP server running on stdio`);
   }
 
-  handlePing(id) {
-    return {
-      jsonrpc: '2.0',
-      result: {
-        status: 'ok',
-        agent: this.name,
-        version: this.version,
-        timestamp: new Date().toISOString()
-      },
-      id
+  async handleHttp(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    // Liveness: the process is up and serving HTTP
+    if (pathname === '/healthz') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'ok', uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000) }));
+      return;
+    }
+
+    // Readiness: listening and not draining for shutdown
+    if (pathname === '/readyz') {
+      const status = this.draining ? 'draining' : this.ready ? 'ready' : 'starting';
+      res.writeHead(status === 'ready' ? 200 : 503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status, profiles: this.profiles.size, inFlight: this.inFlightRequests.size }));
+      return;
+    }
+
+    // Same API keys as /mcp when auth is on
+    if (pathname === '/metrics') {
+      if (!this.authenticate(req)) {
+        res.writeHead(401, { 'WWW-Authenticate': 'Bearer' });
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      res.end(this.renderMetrics());
+      return;
+    }
+
+    if (pathname !== '/mcp') {
+      res.writeHead(pathname === '/' ? 426 : 404, { 'Content-Type': 'text/plain' });
+      res.end(pathname === '/' ? 'Upgrade Required' : 'Not Found');
+      return;
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+
+    if (req.method === 'DELETE') {
+      res.writeHead(this.httpSessions.delete(sessionId) ? 204 : 404);
+      res.end();
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      // No server-initiated stream: everything arrives on the POST that asked for it
+      res.writeHead(405, { Allow: 'POST, DELETE' });
+      res.end();
+      return;
+    }
+
+    const client = this.authenticate(req);
+    if (!client) {
+      this.countError(-32002);
+      res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32002, message: 'Unauthorized: send an API key as "Authorization: Bearer <key>" or "X-API-Key"' }, id: null }));
+      return;
+    }
+
+    if (sessionId && !this.httpSessions.has(sessionId)) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32001, message: 'Session not found' }, id: null }));
+      return;
+    }
+
+    // Stop buffering once the body passes the limit; the length is all the error needs
+    const { body, size } = await new Promise((resolve, reject) => {
+      const declared = Number(req.headers['content-length']) || 0;
+      const chunks = [];
+      let received = 0;
+      if (declared > this.maxPayloadBytes) {
+        resolve({ body: null, size: declared });
+        return;
+      }
+      req.on('data', chunk => {
+        received += chunk.length;
+        if (received <= this.maxPayloadBytes) chunks.push(chunk);
+      });
+      req.on('end', () => resolve({ body: Buffer.concat(chunks).toString(), size: received }));
+      req.on('error', reject);
+    });
+
+    const refused = this.checkLimits(client, size);
+    if (refused) {
+      this.countError(refused.code);
+      this.log('warn', refused.message, { client: client.id, code: refused.code });
+      const headers = { 'Content-Type': 'application/json' };
+      if (refused.data?.retryAfterMs) headers['Retry-After'] = String(Math.ceil(refused.data.retryAfterMs / 1000));
+      if (refused.status === 413) headers.Connection = 'close';
+      res.writeHead(refused.status, headers);
+      res.end(JSON.stringify(this.limitError(refused, body === null ? null : this.peekId(body))));
+      return;
+    }
+
+    // Stream notifications as server-sent events when the client accepts them
+    // Headers go out with the first event, so progress sent while the call runs doesn't hit ERR_HTTP_HEADERS_SENT
+    const streaming = (req.headers.accept || '').includes('text/event-stream');
+    const openStream = (headers = {}) => {
+      if (!res.headersSent) {
+        res.writeHead(200, { ...headers, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+      }
     };
+    const session = sessionId ? this.httpSessions.get(sessionId) : null;
+    const context = this.createContext(streaming
+      ? (message) => {
+        openStream();
+        res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+      }
+      : () => {}, session);
+    context.pending = [];
+    context.client = client;
+    context.connectionId = sessionId || `http-${uuidv4()}`;
+
+    const response = await this.track(client, () => this.processMessage(body, context));
+
+    // A new session starts with initialize; the client echoes the ID on later requests
+    const headers = {};
+    if (!sessionId && response && [].concat(response).some(entry => entry.result?.protocolVersion)) {
+      const id = uuidv4();
+      this.httpSessions.set(id, { session: context.session, inFlight: context.inFlight });
+      headers['Mcp-Session-Id'] = id;
+    }
+
+    if (!response) {
+      if (!res.headersSent) res.writeHead(202, headers);
+      res.end();
+      return;
+    }
+
+    if (!streaming) {
+      res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+      return;
+    }
+
+    openStream(headers);
+    context.send(response);
+
+    // Keep the stream open until batch jobs started by this request have reported back
+    await Promise.all(context.pending);
+    res.end();
   }
 
-  handleToolsList(id) {
-    return {
-      jsonrpc: '2.0',
-      result: {
-        tools: [
-          {
-            name: 'optimizeScript',
-            description: 'Optimize a video script for SEO and engagement',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                script: {
-                  type: 'string',
-                  description: 'The video script to optimize'
-                },
-                concept: {
-                  type: 'string',
-                  description: 'The video concept/topic'
-                },
-                keywords: {
-                  type: 'object',
-                  description: 'Keywords data from analyzer'
-                },
-                targetDuration: {
-                  type: 'number',
-                  description: 'Target video duration in minutes',
-                  default: 10
-                },
-                contentStyle: {
-                  type: 'string',
-                  enum: ['tutorial', 'review', 'vlog', 'educational', 'entertainment'],
-                  description: 'Style of content'
-                },
-                optimizationLevel: {
-                  type: 'string',
-                  enum: ['light', 'moderate', 'aggressive'],
-                  default: 'moderate',
-                  description: 'How much to modify the script'
-                }
-              },
-              required: ['script', 'concept']
-            }
-          }
-        ]
-      },
-      id
-    };
+  // Key from "Authorization: Bearer <key>" or "X-API-Key" (WebSocket clients that can't set headers
+  // may pass ?api_key=). Returns the client whose limits apply, or null when the key is wrong.
+  authenticate(req, { allowQuery = false } = {}) {
+    if (this.apiKeys.length === 0) {
+      return this.clientFor(`ip:${req.socket.remoteAddress}`);
+    }
+
+    const bearer = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    const key = bearer?.[1]
+      || req.headers['x-api-key']
+      || (allowQuery ? new URL(req.url, 'http://localhost').searchParams.get('api_key') : null);
+    if (!key) return null;
+
+    // Compare digests so the check takes the same time whatever the key
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    const match = this.apiKeys.find(candidate => crypto.timingSafeEqual(digest(candidate), digest(key)));
+    return match ? this.clientFor(`key:${digest(match).toString('hex').slice(0, 12)}`) : null;
+  }
+
+  clientFor(id) {
+    if (!this.clients.has(id)) {
+      this.clients.set(id, { id, windowStart: Date.now(), requests: 0, active: 0 });
+    }
+    return this.clients.get(id);
   }
 
-  async handleToolCall(params, id) {
-    const { name, arguments: args } = params;
+  // Payload, rate and concurrency limits for a network message; returns why it is refused, or null
+  checkLimits(client, size) {
+    if (this.draining) {
+      return { status: 503, code: -32006, message: 'Server is shutting down' };
+    }
+    if (size > this.maxPayloadBytes) {
+      return { status: 413, code: -32003, message: `Payload too large: ${size} bytes exceeds the ${this.maxPayloadBytes} byte limit`, data: { size, limit: this.maxPayloadBytes } };
+    }
 
-    if (name !== 'optimizeScript') {
+    const now = Date.now();
+    if (now - client.windowStart >= this.rateLimit.windowMs) {
+      client.windowStart = now;
+      client.requests = 0;
+    }
+    if (client.requests >= this.rateLimit.requests) {
       return {
-        jsonrpc: '2.0',
-        error: { code: -32602, message: `Unknown tool: ${name}` },
-        id
+        status: 429,
+        code: -32004,
+        message: `Rate limit exceeded: ${this.rateLimit.requests} requests per ${this.rateLimit.windowMs / 1000} seconds`,
+        data: { limit: this.rateLimit.requests, retryAfterMs: client.windowStart + this.rateLimit.windowMs - now }
       };
     }
+    if (client.active >= this.maxConcurrentRequests) {
+      return { status: 429, code: -32005, message: `Too many concurrent requests: at most ${this.maxConcurrentRequests} at a time`, data: { limit: this.maxConcurrentRequests } };
+    }
+
+    client.requests++;
+    return null;
+  }
+
+  limitError({ code, message, data }, id = null) {
+    return { jsonrpc: '2.0', error: { code, message, ...(data ? { data } : {}) }, id };
+  }
+
+  // Best-effort request ID for errors sent before the message is handled
+  peekId(raw) {
+    try {
+      const id = JSON.parse(raw)?.id;
+      return this.isValidId(id) ? id : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Counts work against its client until it settles, and lets stop() wait for it
+  async track(client, work) {
+    if (client) client.active++;
+    const promise = work();
+    this.inFlightRequests.add(promise);
+    try {
+      return await promise;
+    } finally {
+      if (client) client.active--;
+      this.inFlightRequests.delete(promise);
+    }
+  }
+
+  // Refuse new work, let in-flight requests and batch scripts finish (up to shutdownTimeoutMs), then close every connection
+  async stop() {
+    if (this.draining) return;
+    this.draining = true;
+    clearInterval(this.heartbeat);
+    this.httpServer?.close();
+
+    // Batch jobs stop starting scripts; the ones already running are in flight
+    this.jobs.forEach(job => {
+      if (job.status === 'running') job.cancelled = true;
+    });
+
+    let timer;
+    await Promise.race([
+      Promise.allSettled([...this.inFlightRequests]),
+      new Promise(resolve => { timer = setTimeout(resolve, this.shutdownTimeoutMs); })
+    ]);
+    clearTimeout(timer);
+
+    this.wss?.clients.forEach(ws => ws.close(1001, 'Server shutting down'));
+    this.httpServer?.closeAllConnections?.();
+  }
 
+  createContext(send, shared = null) {
+    return {
+      // MCP session: negotiated version and requests that can still be cancelled
+      session: shared?.session || { initialized: false, protocolVersion: null, clientInfo: null },
+      inFlight: shared?.inFlight || new Map(),
+      send
+    };
+  }
+
+  // Transport-independent entry point: raw JSON text in, response (or null) out
+  async processMessage(raw, context) {
+    let payload;
     try {
-      const result = await this.optimizeScript(args);
+      payload = JSON.parse(raw);
+    } catch (error) {
+      this.countError(-32700);
       return {
         jsonrpc: '2.0',
-        result: {
-          content: result
-        },
-        id
+        error: { code: -32700, message: 'Parse error' },
+        id: null
       };
+    }
+
+    this.log('debug', 'Received', Array.isArray(payload)
+      ? { connectionId: context.connectionId, batch: payload.length }
+      : { connectionId: context.connectionId, method: payload?.method, rpcId: payload?.id, params: payload?.params });
+
+    try {
+      return await this.handleMessage(payload, context);
     } catch (error) {
+      this.countError(-32603);
+      this.log('error', 'Error processing message', { connectionId: context.connectionId, error });
       return {
         jsonrpc: '2.0',
-        error: { code: -32603, message: error.message },
-        id
+        error: { code: -32603, message: 'Internal error' },
+        id: payload?.id ?? null
       };
     }
   }
 
-  async optimizeScript({
-    script,
-    concept,
+  // One JSON object per line, tagged with the current request. Only the network server logs to stdout:
+  // in stdio mode it belongs to the protocol, and the CLI and library callers use it for output.
+  log(level, message, fields = {}) {
+    if (this.logLevels[level] < this.logLevels[this.logLevel]) return;
+
+    const line = JSON.stringify({
+      time: new Date().toISOString(),
+      severity: level.toUpperCase(),
+      message,
+      ...this.requestScope.getStore(),
+      ...this.redact(fields)
+    }) + '\n';
+
+    if (this.transport === 'network') {
+      process.stdout.write(line);
+    } else {
+      process.stderr.write(line);
+    }
+  }
+
+  // Script text stays out of the logs: redacted fields become their length
+  redact(value, key = null) {
+    if (key && this.redactedFields.includes(key) && value !== undefined && value !== null) {
+      return typeof value === 'string' ? `[redacted ${value.length} chars]` : '[redacted]';
+    }
+    if (value instanceof Error) {
+      return { message: value.message, stack: value.stack };
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([field, inner]) => [field, this.redact(inner, field)]));
+    }
+    return value;
+  }
+
+  // Single messages, JSON-RPC batch arrays and notifications; returns null when nothing should be sent back
+  async handleMessage(message, context = {}) {
+    if (!Array.isArray(message)) {
+      return this.handleSingleMessage(message, context);
+    }
+
+    if (message.length === 0) {
+      return {
+        jsonrpc: '2.0',
+        error: { code: -32600, message: 'Invalid Request: empty batch' },
+        id: null
+      };
+    }
+
+    const responses = await Promise.all(message.map(entry => Array.isArray(entry)
+      ? { jsonrpc: '2.0', error: { code: -32600, message: 'Invalid Request: nested batch' }, id: null }
+      : this.handleSingleMessage(entry, context)));
+    const sent = responses.filter(Boolean);
+    return sent.length > 0 ? sent : null;
+  }
+
+  async handleSingleMessage(message, context) {
+    const invalid = this.checkRequestShape(message);
+    if (invalid) {
+      this.countError(-32600);
+      return {
+        jsonrpc: '2.0',
+        error: { code: -32600, message: `Invalid Request: ${invalid}` },
+        id: this.isValidId(message?.id) ? message.id : null
+      };
+    }
+
+    const isNotification = !('id' in message);
+    const scope = { requestId: uuidv4(), rpcId: isNotification ? null : message.id, connectionId: context.connectionId || null };
+
+    // Everything logged while handling the message carries its request ID
+    return this.requestScope.run(scope, async () => {
+      const started = process.hrtime.bigint();
+      let response = null;
+
+      if (!isNotification) {
+        response = await this.handleRequest(message, context);
+      } else if (typeof message.method === 'string' && message.method.startsWith('notifications/')) {
+        this.handleNotification(message, context);
+      } else {
+        // Plain JSON-RPC notification: run it, but never reply
+        await this.handleRequest(message, context);
+      }
+
+      this.observeRequest(message, response, Number(process.hrtime.bigint() - started) / 1e9);
+      return response;
+    });
+  }
+
+  // Request count, latency and error code by method and tool
+  observeRequest({ method, params }, response, seconds) {
+    const methods = ['initialize', 'ping', 'tools/list', 'tools/call', 'batch/optimize', 'batch/status', 'batch/cancel', 'notifications/initialized', 'notifications/cancelled'];
+    const labels = {
+      method: methods.includes(method) ? method : 'unknown',
+      tool: method === 'tools/call' ? (this.getToolDefinitions().some(tool => tool.name === params?.name) ? params.name : 'unknown') : ''
+    };
+    const key = JSON.stringify(labels);
+
+    this.metrics.requests.set(key, (this.metrics.requests.get(key) || 0) + 1);
+    const histogram = this.metrics.latency.get(key) || { buckets: this.latencyBuckets.map(() => 0), sum: 0, count: 0 };
+    this.latencyBuckets.forEach((bound, index) => {
+      if (seconds <= bound) histogram.buckets[index]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+    this.metrics.latency.set(key, histogram);
+
+    const code = response?.error?.code ?? (response?.result?.isError ? 'tool_error' : null);
+    if (code !== null) this.countError(code);
+
+    this.log('info', 'Request handled', {
+      method,
+      ...(labels.tool ? { tool: params.name } : {}),
+      durationMs: Math.round(seconds * 1000),
+      ...(code !== null ? { code } : {})
+    });
+  }
+
+  countError(code) {
+    const key = String(code);
+    this.metrics.errors.set(key, (this.metrics.errors.get(key) || 0) + 1);
+  }
+
+  observeScript(script) {
+    if (typeof script !== 'string') return;
+    this.metrics.scriptLength.sum += script.length;
+    this.metrics.scriptLength.count++;
+  }
+
+  // Prometheus text exposition format
+  renderMetrics() {
+    const lines = [];
+    const labelText = labels => {
+      const pairs = Object.entries(labels).map(([name, value]) => `${name}="${String(value).replace(/["\\\n]/g, char => (char === '\n' ? '\\n' : `\\${char}`))}"`);
+      return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+    };
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      samples.forEach(([labels, value, suffix = '']) => lines.push(`${name}${suffix}${labelText(labels)} ${value}`));
+    };
+
+    metric('mcp_requests_total', 'counter', 'JSON-RPC requests handled, by method and tool',
+      [...this.metrics.requests].map(([key, count]) => [JSON.parse(key), count]));
+
+    metric('mcp_request_duration_seconds', 'histogram', 'Time to handle a JSON-RPC request',
+      [...this.metrics.latency].flatMap(([key, histogram]) => {
+        const labels = JSON.parse(key);
+        return [
+          ...this.latencyBuckets.map((bound, index) => [{ ...labels, le: bound }, histogram.buckets[index], '_bucket']),
+          [{ ...labels, le: '+Inf' }, histogram.count, '_bucket'],
+          [labels, histogram.sum, '_sum'],
+          [labels, histogram.count, '_count']
+        ];
+      }));
+
+    metric('mcp_errors_total', 'counter', 'Error responses by JSON-RPC error code (tool_error for failed tool calls)',
+      [...this.metrics.errors].map(([code, count]) => [{ code }, count]));
+
+    metric('mcp_active_connections', 'gauge', 'Open WebSocket connections and HTTP sessions', [
+      [{ transport: 'websocket' }, this.wss ? this.wss.clients.size : 0],
+      [{ transport: 'http' }, this.httpSessions ? this.httpSessions.size : 0]
+    ]);
+
+    metric('mcp_in_flight_requests', 'gauge', 'Requests and batch jobs being handled', [[{}, this.inFlightRequests.size]]);
+
+    const { sum, count } = this.metrics.scriptLength;
+    metric('mcp_script_length_characters', 'summary', 'Length of scripts submitted to tools', [
+      [{}, sum, '_sum'],
+      [{}, count, '_count']
+    ]);
+    metric('mcp_script_length_characters_average', 'gauge', 'Average length of scripts submitted to tools', [[{}, count > 0 ? Math.round(sum / count) : 0]]);
+
+    metric('mcp_uptime_seconds', 'gauge', 'Seconds since the server started', [[{}, Math.round((Date.now() - this.startedAt) / 1000)]]);
+
+    return lines.join('\n') + '\n';
+  }
+
+  checkRequestShape(message) {
+    if (message === null || typeof message !== 'object' || Array.isArray(message)) return 'expected an object';
+    if (message.jsonrpc !== '2.0') return 'jsonrpc must be "2.0"';
+    if (typeof message.method !== 'string' || message.method.length === 0) return 'method must be a non-empty string';
+    if ('id' in message && !this.isValidId(message.id)) return 'id must be a string, number or null';
+    if ('params' in message && (message.params === null || typeof message.params !== 'object')) return 'params must be an object or array';
+    return null;
+  }
+
+  isValidId(id) {
+    return id === null || typeof id === 'string' || (typeof id === 'number' && Number.isFinite(id));
+  }
+
+  handleNotification({ method, params }, context) {
+    switch(method) {
+      case 'notifications/initialized':
+        if (context.session) context.session.initialized = true;
+        break;
+
+      case 'notifications/cancelled': {
+        const request = context.inFlight?.get(params?.requestId);
+        if (request) {
+          request.cancelled = true;
+          request.controller.abort();
+        }
+        break;
+      }
+
+      default:
+        // Unknown notifications are ignored, as the spec requires
+        break;
+    }
+  }
+
+  async handleRequest(request, context = {}) {
+    const { method, params, id } = request;
+
+    switch(method) {
+      case 'initialize':
+        return this.handleInitialize(params, id, context);
+
+      case 'ping':
+        return this.handlePing(id);
+
+      case 'tools/list':
+        return this.handleToolsList(id);
+
+      case 'tools/call':
+        return await this.handleToolCall(params, id, context);
+
+      case 'batch/optimize':
+        return this.handleBatchOptimize(params, id, context);
+
+      case 'batch/status':
+        return this.handleBatchStatus(params, id);
+
+      case 'batch/cancel':
+        return this.handleBatchCancel(params, id);
+
+      default:
+        return {
+          jsonrpc: '2.0',
+          error: { code: -32601, message: `Method not found: ${method}` },
+          id
+        };
+    }
+  }
+
+  handleInitialize(params, id, context) {
+    // Use the client's revision when we support it, otherwise offer our latest
+    const requested = params?.protocolVersion;
+    const protocolVersion = this.protocolVersions.includes(requested) ? requested : this.protocolVersions[0];
+
+    if (context.session) {
+      context.session.protocolVersion = protocolVersion;
+      context.session.clientInfo = params?.clientInfo || null;
+    }
+
+    return {
+      jsonrpc: '2.0',
+      result: {
+        protocolVersion,
+        capabilities: {
+          tools: { listChanged: true }
+        },
+        serverInfo: {
+          name: this.name,
+          version: this.version
+        },
+        instructions: 'Call optimizeScript with a script and concept, then use the other tools on its output.'
+      },
+      id
+    };
+  }
+
+  handlePing(id) {
+    return {
+      jsonrpc: '2.0',
+      result: {
+        status: 'ok',
+        agent: this.name,
+        version: this.version,
+        timestamp: new Date().toISOString()
+      },
+      id
+    };
+  }
+
+  handleToolsList(id) {
+    return {
+      jsonrpc: '2.0',
+      result: {
+        tools: this.getToolDefinitions()
+      },
+      id
+    };
+  }
+
+  getToolDefinitions() {
+    // Custom styles and profile IDs show up in the schemas once profiles are loaded
+    const styles = [...new Set([...this.contentStyles, ...[...this.profiles.values()].flatMap(profile => Object.keys(profile.styles || {}))])];
+    const profileSchema = {
+      type: 'string',
+      description: 'Channel profile ID whose phrases, CTA, sign-off, speaking rate and styles to use',
+      ...(this.profiles.size > 0 ? { enum: [...this.profiles.keys()] } : {})
+    };
+
+    return [
+      {
+        name: 'optimizeScript',
+        description: 'Optimize a video script for SEO and engagement',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            script: {
+              type: 'string',
+              minLength: 1,
+              description: 'The video script to optimize'
+            },
+            concept: {
+              type: 'string',
+              minLength: 1,
+              description: 'The video concept/topic'
+            },
+            keywords: this.getKeywordsSchema('Keywords data from analyzer'),
+            targetDuration: {
+              type: 'number',
+              exclusiveMinimum: 0,
+              maximum: 720,
+              description: 'Target video duration in minutes',
+              default: 10
+            },
+            contentStyle: {
+              type: 'string',
+              enum: styles,
+              description: 'Style of content'
+            },
+            profile: profileSchema,
+            optimizationLevel: {
+              type: 'string',
+              enum: ['light', 'moderate', 'aggressive'],
+              default: 'moderate',
+              description: 'light only suggests patches, moderate applies keyword and opener fixes, aggressive also restructures sentences and paragraphs'
+            },
+            seed: {
+              type: ['integer', 'string'],
+              description: 'Seed for phrase selection; defaults to one derived from the input so runs are reproducible'
+            },
+            projectId: {
+              ...this.getProjectIdSchema(),
+              description: 'Save the submitted script as a new version of this project'
+            },
+            rewrite: {
+              type: 'boolean',
+              description: 'Rephrase rule-based edits with the configured rewrite backend, when one is set',
+              default: true
+            },
+            language: {
+              type: 'string',
+              description: `Script language as an ISO 639-1 code (${Object.keys(this.languages).join(', ')})`,
+              default: 'en'
+            }
+          },
+          required: ['script', 'concept']
+        }
+      },
+      {
+        name: 'generateChapters',
+        description: 'Generate YouTube chapter timestamps and a keyword-rich description for a script',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            script: {
+              type: 'string',
+              minLength: 1,
+              description: 'The (optimized) video script'
+            },
+            concept: {
+              type: 'string',
+              description: 'The video concept/topic'
+            },
+            keywords: this.getKeywordsSchema('Keywords data from analyzer'),
+            hashtagCount: {
+              type: 'integer',
+              minimum: 0,
+              maximum: 15,
+              description: 'Maximum number of hashtags in the description',
+              default: 3
+            },
+            language: {
+              type: 'string',
+              description: 'Script language as an ISO 639-1 code',
+              default: 'en'
+            },
+            profile: profileSchema
+          },
+          required: ['script']
+        }
+      },
+      {
+        name: 'applyPatches',
+        description: 'Apply a chosen subset of optimizeScript patches to the original script',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            script: {
+              type: 'string',
+              description: 'The original script passed to optimizeScript'
+            },
+            patches: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  offset: { type: 'integer', minimum: 0 },
+                  length: { type: 'integer', minimum: 0 },
+                  original: { type: 'string' },
+                  text: { type: 'string' }
+                },
+                required: ['id', 'offset', 'length', 'text']
+              },
+              description: 'The patches returned by optimizeScript'
+            },
+            patchIds: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'IDs of the patches to accept; all others are rejected'
+            }
+          },
+          required: ['script', 'patches', 'patchIds']
+        }
+      },
+      {
+        name: 'exportScript',
+        description: 'Export a script as SRT or WebVTT captions and a teleprompter file',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            script: {
+              type: 'string',
+              description: 'The script to export'
+            },
+            result: {
+              type: 'object',
+              description: 'An optimizeScript result; its optimized script is exported'
+            },
+            formats: {
+              type: 'array',
+              items: { type: 'string', enum: ['srt', 'vtt', 'teleprompter'] },
+              description: 'Formats to render',
+              default: ['srt', 'vtt', 'teleprompter']
+            },
+            wordsPerMinute: {
+              type: 'number',
+              minimum: 60,
+              maximum: 400,
+              description: 'Speaking rate for cue and teleprompter timing (defaults to the language rate)'
+            },
+            language: {
+              type: 'string',
+              description: 'Script language as an ISO 639-1 code',
+              default: 'en'
+            },
+            maxLineLength: {
+              type: 'integer',
+              minimum: 10,
+              description: 'Maximum characters per caption line',
+              default: 42
+            },
+            maxLines: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Maximum lines per caption cue',
+              default: 2
+            },
+            maxCharsPerSecond: {
+              type: 'number',
+              exclusiveMinimum: 0,
+              description: 'Maximum caption reading speed',
+              default: 17
+            },
+            paragraphPause: {
+              type: 'number',
+              minimum: 0,
+              description: 'Seconds of silence between paragraphs (defaults to the pause chapters and timing use)'
+            },
+            profile: profileSchema
+          }
+        }
+      },
+      {
+        name: 'generateTitles',
+        description: 'Generate ranked title candidates and thumbnail text that match what the script delivers',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            script: {
+              type: 'string',
+              minLength: 1,
+              description: 'The video script the title must match'
+            },
+            concept: {
+              type: 'string',
+              description: 'Video concept, used as the primary keyword when keywords are not given'
+            },
+            keywords: this.getKeywordsSchema('Keywords data from analyzer'),
+            contentStyle: {
+              type: 'string',
+              enum: styles,
+              description: 'Style of content',
+              default: 'tutorial'
+            },
+            profile: profileSchema,
+            count: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 10,
+              description: 'Number of title candidates to return',
+              default: 5
+            },
+            language: {
+              type: 'string',
+              description: 'Script language as an ISO 639-1 code',
+              default: 'en'
+            }
+          },
+          required: ['script']
+        }
+      },
+      {
+        name: 'registerProfile',
+        description: 'Register or replace a channel style profile for later optimizeScript calls',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            profile: this.getProfileSchema(),
+            save: {
+              type: 'boolean',
+              description: 'Also write the profile to the profiles directory so it survives a restart (needs API_KEYS or ALLOW_PROFILE_SAVE=true)',
+              default: false
+            }
+          },
+          required: ['profile']
+        }
+      },
+      {
+        name: 'saveVersion',
+        description: 'Save a script version with its metrics under a project/video ID',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            projectId: this.getProjectIdSchema(),
+            script: {
+              type: 'string',
+              minLength: 1,
+              description: 'The script to save'
+            },
+            concept: {
+              type: 'string',
+              description: 'Video concept, used as the primary keyword when keywords are not given'
+            },
+            keywords: this.getKeywordsSchema('Keywords data from analyzer'),
+            language: {
+              type: 'string',
+              description: 'Script language as an ISO 639-1 code',
+              default: 'en'
+            },
+            label: {
+              type: 'string',
+              maxLength: 200,
+              description: 'Short note about this revision'
+            }
+          },
+          required: ['projectId', 'script']
+        }
+      },
+      {
+        name: 'listVersions',
+        description: 'List the saved versions of a project with their metrics',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            projectId: this.getProjectIdSchema()
+          },
+          required: ['projectId']
+        }
+      },
+      {
+        name: 'getVersion',
+        description: 'Fetch one saved version, including its script',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            projectId: this.getProjectIdSchema(),
+            version: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Version number; defaults to the latest'
+            }
+          },
+          required: ['projectId']
+        }
+      },
+      {
+        name: 'compareVersions',
+        description: 'Compare two saved versions: metric deltas and a word-level diff',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            projectId: this.getProjectIdSchema(),
+            from: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Older version number; defaults to the one before `to`'
+            },
+            to: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Newer version number; defaults to the latest'
+            }
+          },
+          required: ['projectId']
+        }
+      },
+      {
+        name: 'analyzeCompetitors',
+        description: 'Find topics, questions and keywords competitor transcripts cover that the script does not',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            script: {
+              type: 'string',
+              minLength: 1,
+              description: 'Our video script'
+            },
+            competitors: {
+              type: 'array',
+              minItems: 1,
+              maxItems: 20,
+              description: 'Competitor transcripts',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', description: 'Label for the competitor video' },
+                  content: { type: 'string', minLength: 1, description: 'Transcript as plain text, SRT or WebVTT' },
+                  format: { type: 'string', enum: ['text', 'srt', 'vtt'], description: 'Detected when omitted' }
+                },
+                required: ['content']
+              }
+            },
+            concept: {
+              type: 'string',
+              description: 'Video concept, used as the primary keyword when keywords are not given'
+            },
+            keywords: this.getKeywordsSchema('Keywords data from analyzer'),
+            language: {
+              type: 'string',
+              description: 'Script language as an ISO 639-1 code',
+              default: 'en'
+            },
+            limit: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 50,
+              description: 'Maximum items per list',
+              default: 10
+            }
+          },
+          required: ['script', 'competitors']
+        }
+      },
+      {
+        name: 'calibratePacing',
+        description: 'Fit the pacing model to a creator from a sample script and the length of their recording of it',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            sample: {
+              type: 'string',
+              minLength: 1,
+              description: 'Script the creator recorded'
+            },
+            durationSeconds: {
+              type: 'number',
+              exclusiveMinimum: 0,
+              description: 'Length of the recording in seconds'
+            },
+            language: {
+              type: 'string',
+              description: 'Sample language as an ISO 639-1 code',
+              default: 'en'
+            },
+            profile: profileSchema
+          },
+          required: ['sample', 'durationSeconds']
+        }
+      },
+      {
+        name: 'lintScript',
+        description: 'Flag missing sponsorship disclosures, absolute health/finance/income claims, profanity, advertiser-unfriendly terms and engagement bait',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            script: {
+              type: 'string',
+              minLength: 1,
+              description: 'The video script to check (English rules)'
+            }
+          },
+          required: ['script']
+        }
+      },
+      {
+        name: 'analyzeRetention',
+        description: 'Score each 15-30 second window of a script for viewer drop-off risk',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            script: {
+              type: 'string',
+              minLength: 1,
+              description: 'The video script to analyze'
+            },
+            language: {
+              type: 'string',
+              description: 'Script language as an ISO 639-1 code',
+              default: 'en'
+            },
+            windowSeconds: {
+              type: 'number',
+              minimum: 15,
+              maximum: 30,
+              description: 'Target window length in seconds',
+              default: 20
+            },
+            seed: {
+              type: ['integer', 'string'],
+              description: 'Seed for choosing pattern-interrupt phrases'
+            }
+          },
+          required: ['script']
+        }
+      },
+      {
+        name: 'planCallsToAction',
+        description: 'Place calls to action on the script timeline (soft subscribe, comment prompt, closing CTA, end-screen and card cues) and cut repeated ones',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            script: {
+              type: 'string',
+              minLength: 1,
+              description: 'The video script to plan calls to action for'
+            },
+            concept: {
+              type: 'string',
+              description: 'Video topic, used when a comment question has to be written'
+            },
+            language: {
+              type: 'string',
+              description: 'Script language as an ISO 639-1 code',
+              default: 'en'
+            },
+            profile: profileSchema
+          },
+          required: ['script']
+        }
+      },
+      {
+        name: 'planSponsorRead',
+        description: 'Build a sponsor read from talking points, with transitions in and out, and suggest where it should go',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            script: {
+              type: 'string',
+              minLength: 1,
+              description: 'The video script the read goes into'
+            },
+            sponsor: {
+              type: 'string',
+              minLength: 1,
+              description: 'Sponsor name'
+            },
+            talkingPoints: {
+              type: 'array',
+              items: { type: 'string', minLength: 1 },
+              minItems: 1,
+              description: 'What the read has to say, in order (offer, code and link included)'
+            },
+            concept: {
+              type: 'string',
+              description: 'Video concept, used as the primary keyword when keywords are not given'
+            },
+            keywords: this.getKeywordsSchema('Keywords data from analyzer, used to lead back into the video'),
+            language: {
+              type: 'string',
+              description: 'Script language as an ISO 639-1 code',
+              default: 'en'
+            },
+            profile: profileSchema,
+            count: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 10,
+              description: 'Number of placements to suggest',
+              default: 3
+            },
+            seed: {
+              type: ['integer', 'string'],
+              description: 'Seed for choosing transition phrases'
+            }
+          },
+          required: ['script', 'sponsor', 'talkingPoints']
+        }
+      },
+      {
+        name: 'importTranscript',
+        description: 'Convert an SRT or WebVTT transcript back into a plain script',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            content: {
+              type: 'string',
+              minLength: 1,
+              description: 'SRT or WebVTT file contents'
+            },
+            format: {
+              type: 'string',
+              enum: ['srt', 'vtt'],
+              description: 'Transcript format; detected from the content when omitted'
+            },
+            paragraphGap: {
+              type: 'number',
+              minimum: 0,
+              description: 'Silence in seconds that starts a new paragraph (under the pause exportScript leaves between paragraphs)',
+              default: 0.75
+            },
+            keywords: this.getKeywordsSchema('Keywords data from analyzer, used for the analysis'),
+            language: {
+              type: 'string',
+              description: 'Transcript language as an ISO 639-1 code',
+              default: 'en'
+            }
+          },
+          required: ['content']
+        }
+      }
+    ];
+  }
+
+  getProjectIdSchema() {
+    return {
+      type: 'string',
+      minLength: 1,
+      maxLength: 128,
+      description: 'Project or video ID the versions are stored under (letters, digits, ., - and _)'
+    };
+  }
+
+  getKeywordsSchema(description) {
+    const tier = {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          keyword: { type: 'string', minLength: 1 },
+          variants: { type: 'array', items: { type: 'string' } },
+          synonyms: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['keyword']
+      }
+    };
+
+    return {
+      type: 'object',
+      description,
+      properties: {
+        recommended: {
+          type: 'object',
+          properties: { primary: tier, secondary: tier, longTail: tier }
+        },
+        variants: {
+          type: 'object',
+          description: 'Map of keyword to synonyms or variant spellings',
+          additionalProperties: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    };
+  }
+
+  // Small JSON Schema subset: enough for the tool schemas we publish
+  validateSchema(value, schema, path = '') {
+    const errors = [];
+    const field = path || '(arguments)';
+    const typeOf = v => v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v;
+    const matchesType = (v, type) => {
+      if (type === 'integer') return Number.isInteger(v);
+      if (type === 'number') return typeof v === 'number' && Number.isFinite(v);
+      return typeOf(v) === type;
+    };
+
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => matchesType(value, type))) {
+        errors.push({ field, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+        return errors;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push({ field, message: `must be >= ${schema.minimum}` });
+      if (schema.maximum !== undefined && value > schema.maximum) errors.push({ field, message: `must be <= ${schema.maximum}` });
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push({ field, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ field, message: `must have at least ${schema.minItems} items` });
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+      if (schema.items) {
+        value.forEach((item, i) => errors.push(...this.validateSchema(item, schema.items, `${path}[${i}]`)));
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      const join = key => path ? `${path}.${key}` : key;
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) errors.push({ field: join(key), message: 'is required' });
+      });
+      Object.entries(value).forEach(([key, child]) => {
+        if (child === undefined) return;
+        if (schema.properties?.[key]) {
+          errors.push(...this.validateSchema(child, schema.properties[key], join(key)));
+        } else if (schema.additionalProperties === false) {
+          errors.push({ field: join(key), message: 'is not allowed' });
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...this.validateSchema(child, schema.additionalProperties, join(key)));
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  async handleToolCall(params, id, context = {}) {
+    const { name, arguments: args = {}, _meta: meta } = params || {};
+
+    if (typeof name !== 'string') {
+      return {
+        jsonrpc: '2.0',
+        error: { code: -32602, message: 'Invalid params: tool name is required' },
+        id
+      };
+    }
+
+    const tool = this.getToolDefinitions().find(definition => definition.name === name);
+    if (!tool) {
+      return {
+        jsonrpc: '2.0',
+        error: { code: -32602, message: `Unknown tool: ${name}` },
+        id
+      };
+    }
+
+    this.observeScript(args.script);
+
+    const errors = this.validateSchema(args, tool.inputSchema);
+    if (errors.length > 0) {
+      return {
+        jsonrpc: '2.0',
+        error: {
+          code: -32602,
+          message: `Invalid params for ${name}: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`,
+          data: { tool: name, errors }
+        },
+        id
+      };
+    }
+
+    const request = { cancelled: false, controller: new AbortController() };
+    context.inFlight?.set(id, request);
+
+    // Progress notifications when the client asked for them with a progress token
+    const progressToken = meta?.progressToken;
+    const onProgress = progressToken !== undefined && context.send
+      ? (progress, total, message) => context.send({
+        jsonrpc: '2.0',
+        method: 'notifications/progress',
+        params: { progressToken, progress, total, message }
+      })
+      : null;
+
+    try {
+      const result = await this.callTool(name, args, { onProgress, signal: request.controller.signal });
+      if (request.cancelled) return null;
+
+      return {
+        jsonrpc: '2.0',
+        result: {
+          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+          structuredContent: result,
+          isError: false
+        },
+        id
+      };
+    } catch (error) {
+      if (request.cancelled) return null;
+
+      // Tool failures are results the model can see, not protocol errors
+      return {
+        jsonrpc: '2.0',
+        result: {
+          content: [{ type: 'text', text: error.message }],
+          isError: true
+        },
+        id
+      };
+    } finally {
+      context.inFlight?.delete(id);
+    }
+  }
+
+  async callTool(name, args, { onProgress, signal } = {}) {
+    switch(name) {
+      case 'optimizeScript':
+        return await this.optimizeScript(args, { onProgress, signal });
+
+      case 'generateChapters':
+        return this.generateChapters(args);
+
+      case 'applyPatches':
+        return this.applyPatches(args);
+
+      case 'exportScript':
+        return this.exportScript(args);
+
+      case 'importTranscript':
+        return this.importTranscript(args);
+
+      case 'generateTitles':
+        return this.generateTitles(args);
+
+      case 'registerProfile':
+        return this.registerProfile(args);
+
+      case 'analyzeCompetitors':
+        return this.analyzeCompetitors(args);
+
+      case 'saveVersion':
+        return this.saveVersion(args);
+
+      case 'listVersions':
+        return this.listVersions(args);
+
+      case 'getVersion':
+        return this.getVersion(args);
+
+      case 'compareVersions':
+        return this.compareVersions(args);
+
+      case 'calibratePacing':
+        return this.calibratePacing(args);
+
+      case 'lintScript':
+        return this.lintScript(args.script);
+
+      case 'analyzeRetention': {
+        const seed = this.hashSeed(args.seed ?? args.script);
+        return this.analyzeRetention(args.script, {
+          language: args.language,
+          windowSeconds: args.windowSeconds,
+          random: this.createRandom(seed)
+        });
+      }
+
+      case 'planSponsorRead':
+        return this.planSponsorRead(args);
+
+      case 'planCallsToAction': {
+        const plan = this.planCallsToAction(args.script, {
+          language: args.language,
+          profile: this.resolveProfile(args.profile),
+          primaryKeyword: args.concept
+        });
+        return { ...plan, script: this.patchScript(args.script, [...plan.removals, ...plan.placements.filter(placement => !placement.cue)]) };
+      }
+
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  handleBatchOptimize(params, id, context) {
+    const errors = this.validateSchema(params || {}, {
+      type: 'object',
+      properties: {
+        items: { type: 'array', items: { type: 'object' }, minItems: 1, maxItems: this.maxBatchSize },
+        concurrency: { type: 'integer', minimum: 1, maximum: this.maxBatchConcurrency }
+      },
+      required: ['items']
+    });
+    if (errors.length > 0) {
+      return {
+        jsonrpc: '2.0',
+        error: { code: -32602, message: 'Invalid params for batch/optimize', data: { errors } },
+        id
+      };
+    }
+
+    const { items, concurrency = 3 } = params;
+
+    // Each client gets a few running jobs at a time
+    const clientId = context.client?.id || null;
+    const open = [...this.jobs.values()].filter(job => job.status === 'running' && job.clientId === clientId).length;
+    if (open >= this.maxOpenJobs) {
+      this.countError(-32005);
+      return {
+        jsonrpc: '2.0',
+        error: { code: -32005, message: `Too many open batch jobs: at most ${this.maxOpenJobs} at a time`, data: { limit: this.maxOpenJobs } },
+        id
+      };
+    }
+
+    const job = {
+      id: uuidv4(),
+      clientId,
+      connectionId: context.connectionId || null,
+      status: 'running',
+      total: items.length,
+      completed: 0,
+      failed: 0,
+      cancelled: false,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      results: new Array(items.length).fill(null),
+      summary: null
+    };
+    this.jobs.set(job.id, job);
+
+    const workers = Math.max(1, Math.min(this.maxBatchConcurrency, Math.floor(concurrency) || 1));
+    const run = this.track(context.client, () => this.runBatchJob(job, items, workers, context.send || (() => {}), params._meta?.progressToken));
+    context.pending?.push(run);
+
+    return {
+      jsonrpc: '2.0',
+      result: {
+        jobId: job.id,
+        status: job.status,
+        total: job.total,
+        concurrency: workers
+      },
+      id
+    };
+  }
+
+  async runBatchJob(job, items, workers, send, progressToken) {
+    const startedAt = Date.now();
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length && !job.cancelled) {
+        const index = next++;
+        const args = items[index];
+
+        // Let the socket handle status and cancel requests between scripts
+        await new Promise(resolve => setImmediate(resolve));
+        if (job.cancelled) break;
+
+        const schema = this.getToolDefinitions().find(tool => tool.name === 'optimizeScript').inputSchema;
+        const invalid = this.validateSchema(args, schema);
+        this.observeScript(args?.script);
+
+        try {
+          if (invalid.length > 0) {
+            job.results[index] = { index, status: 'failed', concept: args?.concept || null, error: 'Invalid params', errors: invalid };
+            job.failed++;
+          } else {
+            const result = await this.optimizeScript(args);
+            job.results[index] = { index, status: 'completed', result };
+            job.completed++;
+          }
+        } catch (error) {
+          job.results[index] = { index, status: 'failed', concept: args?.concept || null, error: error.message };
+          job.failed++;
+        }
+
+        send({
+          jsonrpc: '2.0',
+          method: 'batch/progress',
+          params: {
+            jobId: job.id,
+            index,
+            status: job.results[index].status,
+            error: job.results[index].error,
+            completed: job.completed,
+            failed: job.failed,
+            total: job.total
+          }
+        });
+
+        if (progressToken !== undefined) {
+          send({
+            jsonrpc: '2.0',
+            method: 'notifications/progress',
+            params: { progressToken, progress: job.completed + job.failed, total: job.total }
+          });
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    job.status = job.cancelled ? 'cancelled' : 'completed';
+    job.finishedAt = new Date().toISOString();
+    job.summary = this.summarizeBatch(job, Date.now() - startedAt);
+
+    send({
+      jsonrpc: '2.0',
+      method: 'batch/completed',
+      params: { jobId: job.id, status: job.status, summary: job.summary }
+    });
+
+    // Finished jobs stay pollable for a while, then get dropped
+    setTimeout(() => this.jobs.delete(job.id), this.jobRetentionMs).unref();
+  }
+
+  summarizeBatch(job, durationMs) {
+    const succeeded = job.results.filter(entry => entry?.status === 'completed');
+    const densityChanges = succeeded.map(entry => parseFloat(entry.result.improvements.keywordDensityChange));
+
+    const warningCounts = {};
+    succeeded.forEach(entry => {
+      // Count each warning type once per script
+      new Set(entry.result.warnings.map(warning => warning.type)).forEach(type => {
+        warningCounts[type] = (warningCounts[type] || 0) + 1;
+      });
+    });
+
+    return {
+      total: job.total,
+      completed: job.completed,
+      failed: job.failed,
+      skipped: job.total - job.completed - job.failed,
+      averageDensityChange: densityChanges.length > 0
+        ? (densityChanges.reduce((sum, change) => sum + change, 0) / densityChanges.length).toFixed(2)
+        : null,
+      commonWarnings: Object.entries(warningCounts)
+        .map(([type, count]) => ({ type, count, share: Math.round(count / succeeded.length * 100) }))
+        .sort((a, b) => b.count - a.count),
+      failures: job.results
+        .filter(entry => entry?.status === 'failed')
+        .map(({ index, concept, error, errors }) => ({ index, concept, error, ...(errors ? { errors } : {}) })),
+      durationMs
+    };
+  }
+
+  handleBatchStatus(params, id) {
+    const job = this.jobs.get(params?.jobId);
+
+    if (!job) {
+      return {
+        jsonrpc: '2.0',
+        error: {
+          code: -32602,
+          message: `Unknown job: ${params?.jobId}`,
+          data: { errors: [{ field: 'jobId', message: typeof params?.jobId === 'string' ? 'does not match a running or recent job' : 'is required' }] }
+        },
+        id
+      };
+    }
+
+    return {
+      jsonrpc: '2.0',
+      result: {
+        jobId: job.id,
+        status: job.status,
+        total: job.total,
+        completed: job.completed,
+        failed: job.failed,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        summary: job.summary,
+        ...(params.includeResults ? { results: job.results } : {})
+      },
+      id
+    };
+  }
+
+  handleBatchCancel(params, id) {
+    const job = this.jobs.get(params?.jobId);
+
+    if (!job) {
+      return {
+        jsonrpc: '2.0',
+        error: {
+          code: -32602,
+          message: `Unknown job: ${params?.jobId}`,
+          data: { errors: [{ field: 'jobId', message: typeof params?.jobId === 'string' ? 'does not match a running or recent job' : 'is required' }] }
+        },
+        id
+      };
+    }
+
+    // Scripts already running finish; nothing new starts
+    if (job.status === 'running') job.cancelled = true;
+
+    return {
+      jsonrpc: '2.0',
+      result: { jobId: job.id, status: job.cancelled ? 'cancelling' : job.status },
+      id
+    };
+  }
+
+  getProfileSchema() {
+    const phraseList = { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } };
+    const textList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+    return {
+      type: 'object',
+      description: 'Channel style profile',
+      properties: {
+        id: { type: 'string', minLength: 1, maxLength: 64, description: 'Profile ID (letters, digits, - and _)' },
+        name: { type: 'string' },
+        wordsPerMinute: { type: 'number', minimum: 60, maximum: 300, description: 'Speaking rate used for timing' },
+        calibration: {
+          type: 'object',
+          description: 'A sample script and how long the creator\'s recording of it runs; scales every timing estimate',
+          properties: {
+            sample: { type: 'string', minLength: 1 },
+            durationSeconds: { type: 'number', exclusiveMinimum: 0 }
+          },
+          required: ['sample', 'durationSeconds'],
+          additionalProperties: false
+        },
+        keywordDensity: {
+          type: 'object',
+          description: 'Keyword density targets in percent',
+          properties: {
+            min: { type: 'number', minimum: 0 },
+            target: { type: 'number', exclusiveMinimum: 0 },
+            max: { type: 'number', exclusiveMinimum: 0 }
+          },
+          additionalProperties: false
+        },
+        phrases: {
+          type: 'object',
+          description: 'Phrase banks that replace the defaults',
+          properties: { hook: phraseList, transition: phraseList, engagement: phraseList, retention: phraseList },
+          additionalProperties: false
+        },
+        cta: { type: 'string', minLength: 1, description: 'Call to action added when a script has none' },
+        signOff: { type: 'string', minLength: 1, description: 'Closing line every script should end with' },
+        bannedPhrases: { ...textList, description: 'Phrases never to insert, and to flag when found' },
+        tips: { ...textList, description: 'Extra tips returned with every optimization' },
+        styles: {
+          type: 'object',
+          description: 'Custom content styles by name',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              basedOn: { type: 'string', enum: this.contentStyles, description: 'Built-in style whose rules apply' },
+              description: { type: 'string' },
+              structure: { ...textList, minItems: 1 },
+              tips: textList
+            },
+            additionalProperties: false
+          }
+        }
+      },
+      required: ['id'],
+      additionalProperties: false
+    };
+  }
+
+  // Checks what the schema can't; returns [{ field, message }] like validateSchema
+  validateProfile(profile) {
+    const errors = this.validateSchema(profile, this.getProfileSchema(), 'profile');
+    if (errors.length > 0) return errors;
+
+    if (!/^[\w-]+$/.test(profile.id)) {
+      errors.push({ field: 'profile.id', message: 'must only contain letters, digits, - and _' });
+    }
+
+    const { min = 1, target, max = this.maxKeywordDensity } = profile.keywordDensity || {};
+    if (min > (target ?? min) || (target ?? min) > max || min >= max) {
+      errors.push({ field: 'profile.keywordDensity', message: 'must satisfy min <= target <= max' });
+    }
+
+    return errors;
+  }
+
+  loadProfiles(dir) {
+    if (!fs.existsSync(dir)) return;
+
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .forEach(file => {
+        try {
+          const profile = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+          const errors = this.validateProfile(profile);
+          if (errors.length > 0) {
+            throw new Error(errors.map(error => `${error.field} ${error.message}`).join('; '));
+          }
+          this.profiles.set(profile.id, profile);
+        } catch (error) {
+          this.log('warn', 'Skipping profile', { file, error: error.message });
+        }
+      });
+  }
+
+  registerProfile({ profile, save = false }) {
+    const errors = this.validateProfile(profile);
+    if (errors.length > 0) {
+      throw new Error(`Invalid profile: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+    }
+
+    if (save && !this.profileSaveAllowed) {
+      throw new Error('Saving profiles is disabled: set API_KEYS or ALLOW_PROFILE_SAVE=true');
+    }
+
+    const replaced = this.profiles.has(profile.id);
+    if (!replaced && this.profiles.size >= this.maxProfiles) {
+      throw new Error(`Too many profiles: at most ${this.maxProfiles}`);
+    }
+    this.profiles.set(profile.id, profile);
+
+    let file = null;
+    if (save) {
+      fs.mkdirSync(this.profilesDir, { recursive: true });
+      file = path.join(this.profilesDir, `${profile.id}.json`);
+      fs.writeFileSync(file, JSON.stringify(profile, null, 2) + '\n');
+    }
+
+    // Schemas now list the new styles and profile ID
+    this.notifyToolsChanged();
+
+    return {
+      id: profile.id,
+      replaced,
+      styles: Object.keys(profile.styles || {}),
+      file
+    };
+  }
+
+  notifyToolsChanged() {
+    this.listeners.forEach(context => {
+      context.send({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+    });
+  }
+
+  resolveProfile(id) {
+    if (id === undefined || id === null) return null;
+    if (!this.profiles.has(id)) {
+      throw new Error(`Unknown profile: ${id}`);
+    }
+    return this.profiles.get(id);
+  }
+
+  // Custom styles behave like the built-in style they are based on
+  resolveStyle(contentStyle, profile = null) {
+    const custom = profile?.styles?.[contentStyle];
+    if (custom) {
+      return { name: contentStyle, base: custom.basedOn || (this.contentStyles.includes(contentStyle) ? contentStyle : 'tutorial'), structure: custom.structure, tips: custom.tips };
+    }
+    if (!this.contentStyles.includes(contentStyle)) {
+      throw new Error(`Content style "${contentStyle}" is not defined${profile ? ` in profile ${profile.id}` : ''}`);
+    }
+    return { name: contentStyle, base: contentStyle };
+  }
+
+  async optimizeScript({
+    script,
+    concept,
     keywords,
     targetDuration = 10,
     contentStyle = 'tutorial',
-    optimizationLevel = 'moderate'
+    optimizationLevel = 'moderate',
+    seed,
+    language = 'en',
+    rewrite = true,
+    profile: profileId,
+    projectId
+  }, { onProgress, signal } = {}) {
+    // The stages run synchronously, so with a signal each step yields for a cancel to arrive, then checks it
+    const progress = async (step, message) => {
+      onProgress?.(step, 5, message);
+      if (!signal) return;
+      await new Promise(resolve => setImmediate(resolve));
+      if (signal.aborted) throw new Error('Cancelled');
+    };
+
+    if (!script || !concept) {
+      throw new Error('Script and concept are required');
+    }
+
+    // Same input, same output: every phrase pick draws from this seeded generator
+    const resolvedSeed = seed !== undefined && seed !== null
+      ? this.hashSeed(seed)
+      : this.hashSeed(JSON.stringify([script, concept, keywords, targetDuration, contentStyle, optimizationLevel, language]));
+    const random = this.createRandom(resolvedSeed);
+
+    const { code: languageCode, supported: languageSupported } = this.resolveLanguage(language);
+    const profile = this.resolveProfile(profileId);
+    const style = this.resolveStyle(contentStyle, profile);
+    const options = { language: languageCode, profile };
+
+    this.log('debug', 'Optimizing script', { scriptChars: script.length, contentStyle, optimizationLevel, language: languageCode });
+
+    // Extract keywords
+    const {
+      primary: primaryKeywords,
+      secondary: secondaryKeywords,
+      longTail: longTailKeywords,
+      all: allKeywords,
+      variants
+    } = this.extractKeywords(keywords, concept);
+    options.variants = variants;
+    const tiers = { secondaryKeywords, longTailKeywords };
+
+    // Analyze original script
+    await progress(0, 'Analyzing original script');
+    const originalAnalysis = this.analyzeScript(script, allKeywords, options);
+
+    // Generate optimizations
+    await progress(1, 'Generating optimizations');
+    const optimizations = this.generateOptimizations(
+      script,
+      allKeywords,
+      style.base,
+      optimizationLevel,
+      { ...options, ...tiers }
+    );
+
+    // Generate optimized script
+    await progress(2, 'Applying optimizations');
+    let { script: optimizedScript, patches, callsToAction } = this.applyOptimizations(
+      script,
+      optimizations,
+      primaryKeywords,
+      style.base,
+      { ...options, ...tiers, random, level: optimizationLevel }
+    );
+
+    // Let the model backend rephrase the rule-based inserts, keeping only edits that hold up
+    let rewriteReport = null;
+    if (rewrite && this.rewriter) {
+      await progress(2, `Rewriting with ${this.rewriter.name}`);
+      const rewritten = await this.rewritePatches(script, patches, {
+        ...options,
+        keywords: allKeywords,
+        contentStyle
+      });
+      patches = rewritten.patches;
+      rewriteReport = rewritten.report;
+      if (optimizationLevel !== 'light') optimizedScript = this.patchScript(script, patches);
+    }
+
+    // Analyze optimized script
+    const optimizedAnalysis = this.analyzeScript(optimizedScript, allKeywords, options);
+
+    // Split into hook/intro/body/cta/outro and score each part
+    await progress(3, 'Analyzing sections');
+    const sections = this.analyzeSections(script, allKeywords, options);
+
+    // Generate script structure recommendations
+    await progress(4, 'Building recommendations');
+    const structureRecommendations = this.generateStructureRecommendations(
+      script,
+      targetDuration,
+      contentStyle,
+      { ...options, sections }
+    );
+
+    // Score the timeline for drop-off risk
+    const retention = this.analyzeRetention(script, { ...options, random });
+
+    // Generate engagement suggestions
+    const engagementSuggestions = this.generateEngagementSuggestions(
+      script,
+      style.base,
+      { ...options, retention }
+    );
+
+    const warnings = [
+      ...this.generateWarnings(optimizedAnalysis, { ...options, script: optimizedScript }),
+      ...this.lintScript(script, { patches }).findings
+    ];
+
+    // Keep the submitted script in the project's history
+    const saved = projectId
+      ? this.saveVersion({ projectId, script, concept, keywords, language: languageCode, label: `optimizeScript (${optimizationLevel})` })
+      : null;
+    await progress(5, 'Done');
+    if (!languageSupported) {
+      warnings.unshift({
+        type: 'unsupported_language',
+        message: `Language "${language}" is not supported (supported: ${Object.keys(this.languages).join(', ')}). Readability was not scored, and timing and phrases use English defaults`
+      });
+    }
+
+    return {
+      concept,
+      contentStyle,
+      targetDuration,
+      optimizationLevel,
+      language: languageCode,
+      profile: profile ? profile.id : null,
+      version: saved ? saved.version : null,
+      seed: resolvedSeed,
+      generatedAt: new Date().toISOString(),
+      original: {
+        script: script,
+        analysis: originalAnalysis
+      },
+      optimized: {
+        script: optimizedScript,
+        analysis: optimizedAnalysis
+      },
+      improvements: {
+        keywordDensityChange: (optimizedAnalysis.keywordDensity - originalAnalysis.keywordDensity).toFixed(2),
+        keywordsAdded: optimizedAnalysis.keywordsFound - originalAnalysis.keywordsFound,
+        engagementPointsAdded: optimizations.engagementPoints?.length || 0
+      },
+      optimizations: optimizations.changes,
+      patches,
+      rewrite: rewriteReport,
+      sections,
+      structureRecommendations,
+      retention,
+      callsToAction,
+      sponsorSegments: this.findSponsorSegments(script).map(({ text, ...segment }) => segment),
+      engagementSuggestions,
+      keywordInsertions: this.suggestKeywordInsertions(script, primaryKeywords, secondaryKeywords, options),
+      tips: this.getScriptTips(contentStyle, options),
+      warnings
+    };
+  }
+
+  generateChapters({ script, concept, keywords, hashtagCount = 3, language = 'en', profile: profileId }) {
+    if (!script) {
+      throw new Error('Script is required');
+    }
+
+    const profile = this.resolveProfile(profileId);
+    const { pacing } = this.resolveLanguage(language, profile).config;
+
+    const { primary, secondary, all, variants } = this.extractKeywords(keywords, concept);
+    const primaryKeyword = primary[0] || null;
+    const minChapterSeconds = 10;
+    const warnings = [];
+
+    // Each paragraph is a candidate chapter start, grouped by the section it belongs to
+    const units = [];
+    let clock = 0;
+    this.parseSections(script, { language, profile }).forEach((section, sectionIndex) => {
+      this.getParagraphs(section.text, section.start).forEach(paragraph => {
+        // Same beat between paragraphs as getTimeline and the caption cues
+        if (units.length > 0) clock += this.pauses.paragraph * (pacing.calibration || 1);
+        const startTime = Math.round(clock);
+        clock += this.estimateSpeech(paragraph.text, { language, profile }).seconds;
+        units.push({
+          ...paragraph,
+          section,
+          // Hook and intro share the opening chapter
+          group: section.name === 'hook' || section.name === 'intro' ? 'opening' : `${section.name}-${sectionIndex}`,
+          startTime,
+          endTime: Math.round(clock)
+        });
+      });
+    });
+
+    if (units.length === 0) {
+      throw new Error('Script has no content to build chapters from');
+    }
+
+    const duration = group => group.units[group.units.length - 1].endTime - group.units[0].startTime;
+    const stepPattern = /^\s*(step\s*\d+|first(ly)?|next|then|finally)\b/i;
+
+    // New chapter at each section, each step, and once a chapter passes a minute
+    let chapters = [];
+    units.forEach(unit => {
+      const current = chapters[chapters.length - 1];
+      const continues = current && current.group === unit.group &&
+        (unit.group === 'opening' || (!stepPattern.test(unit.text) && duration(current) < 60));
+      if (continues) {
+        current.units.push(unit);
+      } else {
+        chapters.push({ group: unit.group, units: [unit] });
+      }
+    });
+
+    const split = index => {
+      const group = chapters[index];
+      const midpoint = group.units[0].startTime + duration(group) / 2;
+      let at = 1;
+      group.units.forEach((unit, i) => {
+        if (i > 0 && Math.abs(unit.startTime - midpoint) < Math.abs(group.units[at].startTime - midpoint)) at = i;
+      });
+      chapters.splice(index, 1,
+        { group: group.group, units: group.units.slice(0, at) },
+        { group: group.group, units: group.units.slice(at) }
+      );
+    };
+
+    // YouTube needs at least three chapters
+    while (chapters.length < 3) {
+      const candidates = chapters
+        .map((group, index) => ({ index, length: duration(group) }))
+        .filter(({ index }) => chapters[index].units.length > 1)
+        .sort((a, b) => b.length - a.length);
+      if (candidates.length === 0) break;
+      split(candidates[0].index);
+    }
+
+    // ...each at least 10 seconds long
+    for (let i = 0; i < chapters.length && chapters.length > 1; i++) {
+      if (duration(chapters[i]) >= minChapterSeconds) continue;
+      const target = i === 0 ? 1 : i - 1;
+      const [from, to] = target < i ? [target, i] : [i, target];
+      chapters.splice(from, 2, { group: chapters[from].group, units: [...chapters[from].units, ...chapters[to].units] });
+      i = Math.max(-1, from - 1);
+    }
+
+    let step = 0;
+    const result = chapters.map((group, index) => {
+      const text = group.units.map(unit => unit.text).join('\n\n');
+      const startTime = index === 0 ? 0 : group.units[0].startTime;
+      const isStep = stepPattern.test(text);
+      const title = this.chapterTitle(group.units[0].section, text, {
+        isOpening: index === 0,
+        step: isStep ? ++step : null,
+        primaryKeyword,
+        keywords: all,
+        variants
+      });
+
+      return {
+        timestamp: this.formatTimestamp(startTime),
+        title,
+        startTime,
+        endTime: group.units[group.units.length - 1].endTime,
+        section: group.units[0].section.name
+      };
+    });
+
+    const valid = result.length >= 3 && result.every(chapter => chapter.endTime - chapter.startTime >= minChapterSeconds);
+    if (!valid) {
+      warnings.push({
+        type: 'chapters_invalid',
+        message: `YouTube needs at least 3 chapters of ${minChapterSeconds}+ seconds; this script only supports ${result.length} (about ${this.formatTimestamp(units[units.length - 1].endTime)} long)`
+      });
+    }
+
+    // Hashtags come from the recommended keyword tiers, primary first
+    const hashtags = [...new Set(all
+      .map(keyword => keyword.toLowerCase().replace(/[^\p{L}\p{N}]/gu, ''))
+      .filter(tag => tag.length > 0))]
+      .slice(0, hashtagCount)
+      .map(tag => `#${tag}`);
+
+    const summary = this.describeScript(script, concept, primary, secondary, result);
+    const chapterList = result.map(chapter => `${chapter.timestamp} ${chapter.title}`).join('\n');
+    const description = [summary, `Chapters:\n${chapterList}`, hashtags.join(' ')]
+      .filter(part => part.length > 0)
+      .join('\n\n');
+
+    return {
+      chapters: result,
+      valid,
+      description,
+      summary,
+      hashtags,
+      warnings
+    };
+  }
+
+  applyPatches({ script, patches, patchIds }) {
+    if (typeof script !== 'string' || !Array.isArray(patches) || !Array.isArray(patchIds)) {
+      throw new Error('Script, patches and patchIds are required');
+    }
+
+    const accepted = patches.filter(patch => patchIds.includes(patch.id));
+    const unknown = patchIds.filter(id => !patches.some(patch => patch.id === id));
+
+    return {
+      script: this.patchScript(script, accepted),
+      applied: accepted.map(patch => patch.id),
+      rejected: patches.filter(patch => !patchIds.includes(patch.id)).map(patch => patch.id),
+      unknown
+    };
+  }
+
+  versionFile(projectId) {
+    if (typeof projectId !== 'string' || !/^[\w-][\w.-]*$/.test(projectId) || projectId.length > 128) {
+      throw new Error('projectId must only contain letters, digits, ., - and _');
+    }
+    return path.join(this.dataDir, 'versions', `${projectId}.json`);
+  }
+
+  readVersions(projectId) {
+    const file = this.versionFile(projectId);
+    if (!fs.existsSync(file)) return { projectId, versions: [] };
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  writeVersions(projectId, store) {
+    const file = this.versionFile(projectId);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    // Write then rename, so a crash never leaves half a file behind
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(store, null, 2));
+    fs.renameSync(temp, file);
+  }
+
+  findVersion(store, version) {
+    if (store.versions.length === 0) {
+      throw new Error(`No versions saved for project ${store.projectId}`);
+    }
+    const found = version === undefined
+      ? store.versions[store.versions.length - 1]
+      : store.versions.find(entry => entry.version === version);
+    if (!found) {
+      throw new Error(`Version ${version} not found for project ${store.projectId}`);
+    }
+    return found;
+  }
+
+  versionMetrics(script, keywords, { concept, language = 'en' } = {}) {
+    const { all, variants } = this.extractKeywords(keywords, concept);
+    const { code } = this.resolveLanguage(language);
+    const analysis = this.analyzeScript(script, all, { language: code, variants });
+
+    return {
+      wordCount: analysis.wordCount,
+      sentenceCount: analysis.sentenceCount,
+      keywordDensity: parseFloat(analysis.keywordDensity) || 0,
+      readability: analysis.readabilityScore.score,
+      readabilityLevel: analysis.readabilityScore.level,
+      keywordsFound: analysis.keywordsFound,
+      keywordsTracked: all.length,
+      keywordCoverage: all.length > 0 ? Math.round(analysis.keywordsFound / all.length * 100) : null,
+      estimatedSeconds: analysis.estimatedSeconds,
+      estimatedDuration: analysis.estimatedDuration
+    };
+  }
+
+  saveVersion({ projectId, script, concept, keywords, language = 'en', label }) {
+    if (!projectId || !script) {
+      throw new Error('projectId and script are required');
+    }
+
+    const store = this.readVersions(projectId);
+    const entry = {
+      version: (store.versions[store.versions.length - 1]?.version || 0) + 1,
+      savedAt: new Date().toISOString(),
+      label: label || null,
+      concept: concept || null,
+      keywords: keywords || null,
+      language,
+      script,
+      metrics: this.versionMetrics(script, keywords, { concept, language })
+    };
+
+    store.versions.push(entry);
+    this.writeVersions(projectId, store);
+
+    const { script: _, ...summary } = entry;
+    return { projectId, ...summary };
+  }
+
+  listVersions({ projectId }) {
+    const store = this.readVersions(projectId);
+    return {
+      projectId,
+      count: store.versions.length,
+      versions: store.versions.map(({ script, keywords, ...summary }) => summary)
+    };
+  }
+
+  getVersion({ projectId, version }) {
+    return { projectId, ...this.findVersion(this.readVersions(projectId), version) };
+  }
+
+  compareVersions({ projectId, from, to }) {
+    const store = this.readVersions(projectId);
+    const newer = this.findVersion(store, to);
+    const older = from !== undefined
+      ? this.findVersion(store, from)
+      : [...store.versions].reverse().find(entry => entry.version < newer.version);
+    if (!older) {
+      throw new Error(`Project ${projectId} has no version before ${newer.version} to compare with`);
+    }
+
+    // Score both against the newer version's keywords so coverage is like for like
+    const options = { concept: newer.concept, language: newer.language };
+    const before = this.versionMetrics(older.script, newer.keywords, options);
+    const after = this.versionMetrics(newer.script, newer.keywords, options);
+    const delta = key => (before[key] === null || after[key] === null ? null : Math.round((after[key] - before[key]) * 100) / 100);
+
+    const deltas = {
+      keywordDensity: delta('keywordDensity'),
+      readability: delta('readability'),
+      keywordCoverage: delta('keywordCoverage'),
+      keywordsFound: delta('keywordsFound'),
+      estimatedSeconds: delta('estimatedSeconds'),
+      wordCount: delta('wordCount')
+    };
+
+    // Better means closer to the density target, easier to read and more keywords covered
+    const { density } = this.resolveLanguage(newer.language).config;
+    const densityGap = value => Math.abs(value - density.target);
+    const verdict = {
+      keywordDensity: Math.sign(densityGap(before.keywordDensity) - densityGap(after.keywordDensity)),
+      readability: deltas.readability === null ? 0 : Math.sign(deltas.readability),
+      keywordCoverage: deltas.keywordCoverage === null ? 0 : Math.sign(deltas.keywordCoverage)
+    };
+    const score = Object.values(verdict).reduce((sum, value) => sum + value, 0);
+
+    const diff = this.diffWords(older.script, newer.script);
+
+    return {
+      projectId,
+      from: { version: older.version, savedAt: older.savedAt, label: older.label, metrics: before },
+      to: { version: newer.version, savedAt: newer.savedAt, label: newer.label, metrics: after },
+      deltas,
+      improved: score > 0 ? true : score < 0 ? false : null,
+      verdict,
+      diff: diff.changes,
+      diffStats: diff.stats
+    };
+  }
+
+  // Word-level diff via longest common subsequence; whitespace is kept with the word that follows it
+  diffWords(before, after) {
+    const tokenize = text => text.match(/\s*\S+/g) || [];
+    const a = tokenize(before);
+    const b = tokenize(after);
+    const same = (x, y) => x.trim() === y.trim();
+
+    // Skip the unchanged head and tail so the table only covers the edited middle
+    let head = 0;
+    while (head < a.length && head < b.length && same(a[head], b[head])) head++;
+    let tail = 0;
+    while (tail < a.length - head && tail < b.length - head && same(a[a.length - 1 - tail], b[b.length - 1 - tail])) tail++;
+
+    const midA = a.slice(head, a.length - tail);
+    const midB = b.slice(head, b.length - tail);
+    const ops = [];
+
+    if (midA.length * midB.length > 4000000) {
+      // Too big to align word by word: report the middle as replaced
+      midA.forEach(token => ops.push(['delete', token]));
+      midB.forEach(token => ops.push(['insert', token]));
+    } else {
+      const width = midB.length + 1;
+      const table = new Uint32Array((midA.length + 1) * width);
+      for (let i = midA.length - 1; i >= 0; i--) {
+        for (let j = midB.length - 1; j >= 0; j--) {
+          table[i * width + j] = same(midA[i], midB[j])
+            ? table[(i + 1) * width + j + 1] + 1
+            : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+        }
+      }
+
+      let i = 0;
+      let j = 0;
+      while (i < midA.length || j < midB.length) {
+        if (i < midA.length && j < midB.length && same(midA[i], midB[j])) {
+          ops.push(['equal', midB[j]]);
+          i++;
+          j++;
+        } else if (i < midA.length && (j === midB.length || table[(i + 1) * width + j] >= table[i * width + j + 1])) {
+          ops.push(['delete', midA[i++]]);
+        } else {
+          ops.push(['insert', midB[j++]]);
+        }
+      }
+    }
+
+    const all = [
+      ...b.slice(0, head).map(token => ['equal', token]),
+      ...ops,
+      ...b.slice(b.length - tail).map(token => ['equal', token])
+    ];
+
+    // Merge runs of the same kind into single changes
+    const changes = [];
+    const stats = { equal: 0, insert: 0, delete: 0 };
+    all.forEach(([type, token]) => {
+      stats[type]++;
+      const last = changes[changes.length - 1];
+      if (last && last.type === type) {
+        last.text += token;
+      } else {
+        changes.push({ type, text: token });
+      }
+    });
+
+    return {
+      changes,
+      stats: { wordsAdded: stats.insert, wordsRemoved: stats.delete, wordsUnchanged: stats.equal }
+    };
+  }
+
+  exportScript({
+    script,
+    result,
+    formats = ['srt', 'vtt', 'teleprompter'],
+    wordsPerMinute,
+    language,
+    maxLineLength = 42,
+    maxLines = 2,
+    maxCharsPerSecond = 17,
+    paragraphPause,
+    profile: profileId = result?.profile
   }) {
-    if (!script || !concept) {
-      throw new Error('Script and concept are required');
+    const source = script || result?.optimized?.script;
+    if (!source) {
+      throw new Error('Script or an optimizeScript result is required');
+    }
+
+    const profile = this.resolveProfile(profileId);
+    const { code, config } = this.resolveLanguage(language || result?.language, profile);
+    const rate = wordsPerMinute || config.wordsPerMinute;
+    const warnings = [];
+    const output = {};
+
+    const { cues, duration } = this.buildCaptionCues(source, {
+      language: code,
+      profile,
+      config: { ...config, wordsPerMinute: rate },
+      maxLineLength,
+      maxLines,
+      paragraphPause
+    });
+
+    // Stretch fast cues into the following silence, and report the ones that still read too fast
+    cues.forEach((cue, i) => {
+      const minimum = cue.text.replace(/\n/g, ' ').length / maxCharsPerSecond;
+      if (cue.end - cue.start >= minimum) return;
+      const limit = i + 1 < cues.length ? cues[i + 1].start : cue.start + minimum;
+      cue.end = Math.min(limit, cue.start + minimum);
+      if (cue.end - cue.start < minimum) {
+        warnings.push({
+          type: 'reading_speed',
+          cue: cue.index,
+          message: `Cue ${cue.index} at ${this.formatTimestamp(cue.start)} needs ${Math.round(cue.text.length / (cue.end - cue.start))} characters per second (limit ${maxCharsPerSecond})`
+        });
+      }
+    });
+
+    if (formats.includes('srt')) {
+      output.srt = cues
+        .map(cue => `${cue.index}\n${this.formatCueTime(cue.start, ',')} --> ${this.formatCueTime(cue.end, ',')}\n${cue.text}`)
+        .join('\n\n') + '\n';
+    }
+
+    if (formats.includes('vtt')) {
+      output.vtt = 'WEBVTT\n\n' + cues
+        .map(cue => `${this.formatCueTime(cue.start, '.')} --> ${this.formatCueTime(cue.end, '.')}\n${cue.text}`)
+        .join('\n\n') + '\n';
+    }
+
+    if (formats.includes('teleprompter')) {
+      output.teleprompter = this.renderTeleprompter(source, { language: code, wordsPerMinute: rate });
+    }
+
+    return {
+      formats: output,
+      cues,
+      cueCount: cues.length,
+      duration,
+      wordsPerMinute: rate,
+      warnings
+    };
+  }
+
+  // Cues on the same clock as getTimeline and generateChapters: each sentence timed by measureSpeech,
+  // and each cue ending where the words up to its last one have been said
+  buildCaptionCues(script, { language, profile, config, maxLineLength, maxLines, paragraphPause }) {
+    const beat = paragraphPause ?? this.pauses.paragraph * (config.pacing.calibration || 1);
+    const cues = [];
+    let clock = 0;
+
+    // Captions carry only the spoken words: no section markers or [stage directions].
+    // [pause] markers stay in for timing and are left out of the cue text
+    const pauseMarker = /^\[(?:pause|beat|silence)\b/i;
+    const shown = chunk => chunk.filter(word => !pauseMarker.test(word));
+    const paragraphs = this.parseSections(script, { language, profile })
+      .flatMap(section => this.getParagraphs(section.text))
+      .map(paragraph => paragraph.text.replace(/\[[^\]]*\]/g, marker => (pauseMarker.test(marker) ? marker : ' ')).replace(/\s+/g, ' ').trim())
+      .filter(text => text.replace(/\[[^\]]*\]/g, '').trim().length > 0);
+
+    paragraphs.forEach((paragraph, p) => {
+      if (p > 0) clock += beat;
+
+      this.getSentences(paragraph, 0, language).forEach(sentence => {
+        const chunks = [[]];
+
+        (sentence.text.match(/\[[^\]]*\]|\S+/g) || []).forEach(word => {
+          const chunk = chunks[chunks.length - 1];
+          if (shown(chunk).length > 0 && !pauseMarker.test(word) && this.wrapCaptionLines(shown([...chunk, word]), maxLineLength).length > maxLines) {
+            // Prefer to break after a comma in the back half of the cue
+            const comma = chunk.findIndex((w, i) => i >= chunk.length / 2 && /[,;:]$/.test(w));
+            chunks.push(comma !== -1 && comma < chunk.length - 1 ? chunk.splice(comma + 1) : []);
+          }
+          chunks[chunks.length - 1].push(word);
+        });
+
+        // Don't strand a lone word at the end of a sentence
+        const last = chunks[chunks.length - 1];
+        const before = chunks[chunks.length - 2];
+        if (before && last.length === 1 && before.length >= 4) {
+          last.unshift(...before.splice(-2));
+        }
+
+        const sentenceStart = clock;
+        const said = [];
+        chunks.forEach(chunk => {
+          const start = clock;
+          said.push(...chunk);
+          clock = sentenceStart + this.measureSpeech(said.join(' '), language, config).seconds;
+          if (shown(chunk).length === 0) return;
+          cues.push({
+            index: cues.length + 1,
+            start: Math.round(start * 1000) / 1000,
+            end: Math.round(clock * 1000) / 1000,
+            text: this.wrapCaptionLines(shown(chunk), maxLineLength).join('\n')
+          });
+        });
+      });
+    });
+
+    return { cues, duration: Math.round(clock * 1000) / 1000 };
+  }
+
+  wrapCaptionLines(words, maxLineLength) {
+    const lines = [];
+    words.forEach(word => {
+      const last = lines[lines.length - 1];
+      if (last !== undefined && (last + ' ' + word).length <= maxLineLength) {
+        lines[lines.length - 1] = last + ' ' + word;
+      } else {
+        lines.push(word);
+      }
+    });
+    return lines;
+  }
+
+  formatCueTime(seconds, separator) {
+    const millis = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(millis / 3600000))}:${pad(Math.floor(millis / 60000) % 60)}:${pad(Math.floor(millis / 1000) % 60)}${separator}${pad(millis % 1000, 3)}`;
+  }
+
+  renderTeleprompter(script, { language, wordsPerMinute }) {
+    const lines = [];
+    let elapsedWords = 0;
+    const sections = this.parseSections(script, { language });
+    const totalWords = sections.reduce((sum, section) => sum + section.wordCount, 0);
+
+    lines.push(`WPM: ${wordsPerMinute} | Runtime: ${this.formatTimestamp(this.estimateSeconds(totalWords, wordsPerMinute))}`);
+
+    sections.forEach(section => {
+      const start = this.formatTimestamp(this.estimateSeconds(elapsedWords, wordsPerMinute));
+      const end = this.formatTimestamp(this.estimateSeconds(elapsedWords + section.wordCount, wordsPerMinute));
+      const heading = section.title ? `${section.name.toUpperCase()}: ${section.title}` : section.name.toUpperCase();
+      lines.push('', `=== ${heading} (${start} - ${end}) ===`, '');
+
+      // One sentence per line, with a pause between paragraphs
+      this.getParagraphs(section.text).forEach((paragraph, i) => {
+        if (i > 0) lines.push('[PAUSE]');
+        this.getSentences(paragraph.text.replace(/\s+/g, ' '), 0, language).forEach(sentence => lines.push(sentence.text));
+      });
+
+      elapsedWords += section.wordCount;
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  importTranscript({ content, format, paragraphGap = 0.75, keywords, language = 'en' }) {
+    if (!content) {
+      throw new Error('Transcript content is required');
+    }
+
+    const detected = format || (/^﻿?WEBVTT/.test(content.trim()) ? 'vtt' : 'srt');
+    const cues = this.parseTranscript(content, detected);
+
+    // Silence between cues marks a paragraph break
+    const paragraphs = [];
+    let current = [];
+    cues.forEach((cue, i) => {
+      if (i > 0 && cue.start - cues[i - 1].end >= paragraphGap && current.length > 0) {
+        paragraphs.push(current.join(' '));
+        current = [];
+      }
+      current.push(cue.text);
+    });
+    if (current.length > 0) paragraphs.push(current.join(' '));
+
+    const script = paragraphs.join('\n\n');
+    const { all, variants } = this.extractKeywords(keywords);
+
+    return {
+      script,
+      format: detected,
+      cueCount: cues.length,
+      duration: cues.length > 0 ? cues[cues.length - 1].end : 0,
+      analysis: script ? this.analyzeScript(script, all, { language, variants }) : null
+    };
+  }
+
+  parseTranscript(content, format) {
+    const parseTime = value => {
+      const parts = value.trim().replace(',', '.').split(':').map(Number);
+      return parts.reduce((total, part) => total * 60 + part, 0);
+    };
+
+    const cues = [];
+    let previous = null;
+    content.replace(/\r\n?/g, '\n').split(/\n\s*\n/).forEach(block => {
+      const lines = block.split('\n').filter(line => line.trim().length > 0);
+      const timing = lines.findIndex(line => line.includes('-->'));
+      if (timing === -1) return; // WEBVTT header, NOTE, STYLE or a stray index
+
+      const [start, end] = lines[timing].split('-->').map(part => parseTime(part.trim().split(/\s+/)[0]));
+      const text = lines.slice(timing + 1)
+        .map(line => line
+          .replace(/<[^>]+>/g, '')
+          .replace(/\{\\[^}]*\}/g, '')
+          .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ')
+          .trim())
+        .filter(line => line.length > 0)
+        .join(' ');
+
+      if (!text) return;
+      // Auto-generated captions repeat the previous line as they roll: keep one cue that lasts until the last repeat
+      if (text === previous) {
+        cues[cues.length - 1].end = Math.max(cues[cues.length - 1].end, end);
+        return;
+      }
+      previous = text;
+      cues.push({ start, end, text });
+    });
+
+    return cues;
+  }
+
+  chapterTitle(section, text, { isOpening, step, primaryKeyword, keywords, variants = {} }) {
+    const capitalize = value => value.charAt(0).toUpperCase() + value.slice(1);
+
+    if (section.title) return section.title;
+
+    if (isOpening) {
+      return primaryKeyword && primaryKeyword.length <= 40 ? `Intro to ${primaryKeyword}` : 'Intro';
+    }
+
+    if (section.name === 'cta') return 'Before you go';
+    if (section.name === 'outro') return 'Wrap-up';
+
+    // Lead with the sentence that mentions a keyword, so the title uses the script's own wording
+    const mentions = sentence => keywords.find(kw => this.countKeyword(sentence.text, kw, { variants }) > 0);
+    const sentences = this.getSentences(text).slice(0, 3);
+    const sentence = step ? sentences[0] : (sentences.find(mentions) || sentences[0]);
+    const keyword = mentions(sentence);
+
+    let words = sentence.text
+      .replace(/^\s*(step\s*\d+\s*[:.-]?|first(ly)?|next|then|finally|so|now|okay|ok|alright)\b[,:]?\s*/i, '')
+      .replace(/^(let's|let me|we'll|we're going to|i'll|i'm going to)\s+(talk about|look at|show you|cover|move on to|get into)\s+/i, '')
+      .replace(/[.!?,;:]+$/, '')
+      .split(/\s+/);
+
+    // Keep the keyword inside the trimmed title window
+    const match = keyword && this.findKeyword(words.join(' '), keyword, { variants })[0];
+    if (match) {
+      const at = words.join(' ').slice(0, match.index).split(/\s+/).length - 1;
+      if (at > 4) words = words.slice(Math.max(0, at - 2));
+    }
+
+    words = words.slice(0, 7);
+    while (words.length > 1 && /^(a|an|the|and|or|but|for|to|of|with|in|on|at|about|your|my|is|are)$/i.test(words[words.length - 1].replace(/[,;:]+$/, ''))) {
+      words.pop();
+    }
+
+    let title = words.join(' ').replace(/[,;:]+$/, '');
+    if (title.length > 50) title = title.slice(0, 50).replace(/\s+\S*$/, '');
+    title = capitalize(title || section.name);
+
+    return step ? `Step ${step}: ${title}` : title;
+  }
+
+  describeScript(script, concept, primary, secondary, chapters) {
+    const parts = [];
+    const opening = this.getSentences(script.replace(/^\s*(\[[^\]]*\]|#{1,6}\s.*)\s*$/gm, ''))[0];
+
+    if (opening && opening.text.length <= 200) parts.push(opening.text);
+
+    const topic = primary[0] || concept;
+    if (topic) {
+      const extras = secondary.slice(0, 3);
+      parts.push(extras.length > 0
+        ? `In this video, we cover ${topic}, including ${this.joinList(extras)}.`
+        : `In this video, we cover ${topic}.`);
+    }
+
+    const covered = chapters
+      .filter(chapter => chapter.section === 'body')
+      .map(chapter => chapter.title.replace(/^Step \d+: /, '').toLowerCase())
+      .slice(0, 3);
+    if (covered.length > 0) {
+      parts.push(`What's covered: ${this.joinList(covered)}.`);
+    }
+
+    return parts.join(' ');
+  }
+
+  generateTitles({ script, concept, keywords, contentStyle = 'tutorial', count = 5, language = 'en', profile: profileId }) {
+    if (!script) {
+      throw new Error('Script is required');
+    }
+
+    const profile = this.resolveProfile(profileId);
+    const style = this.resolveStyle(contentStyle, profile);
+    const { code, supported, config } = this.resolveLanguage(language, profile);
+    const { primary, secondary, longTail, variants } = this.extractKeywords(keywords, concept);
+    const primaryKeyword = primary[0];
+    const warnings = [];
+
+    if (!primaryKeyword) {
+      throw new Error('A concept or primary keyword is required');
+    }
+
+    if (code !== 'en') {
+      warnings.push({ type: 'english_templates', message: 'Title templates are English; translate candidates before publishing' });
+    }
+
+    // Facts about the script the templates can draw on
+    const sentences = this.getSentences(script, 0, code);
+    const steps = sentences.filter(sentence => /^\s*(\d+[.)]|step\s*\d+)/i.test(sentence.text) || config.stepPattern.test(sentence.text.split(/\s+/)[0] || '')).length;
+    const minutes = Math.max(1, Math.round(this.estimateSpeech(script, { language: code, profile }).seconds / 60));
+    const hookSection = this.parseSections(script, { language: code }).find(section => section.name === 'hook');
+    const hookQuestion = this.getSentences(hookSection ? hookSection.text : script, 0, code)
+      .slice(0, 3)
+      .find(sentence => sentence.text.endsWith('?') && sentence.text.length <= 60);
+
+    const values = {
+      primary: this.titleCase(primaryKeyword),
+      secondary: secondary[0] && this.titleCase(secondary[0]),
+      secondary2: secondary[1] && this.titleCase(secondary[1]),
+      longTail: longTail[0] && this.titleCase(longTail[0]),
+      steps: steps >= 3 ? String(steps) : null,
+      minutes: minutes >= 2 ? String(minutes) : null,
+      hook: hookQuestion?.text
+    };
+    const usedKeywords = { primary: primaryKeyword, secondary: secondary[0], secondary2: secondary[1], longTail: longTail[0] };
+
+    // Did the script deliver what the title promises? Keywords and claim words must appear in it
+    const coverage = terms => {
+      const analysis = this.analyzeScript(script, terms, { language: code, variants });
+      return terms.filter(term => analysis.keywordOccurrences[term]);
+    };
+
+    const seen = new Set();
+    const candidates = [];
+    [...this.titleTemplates.all, ...(this.titleTemplates[style.base] || [])].forEach(template => {
+      const placeholders = [...template.pattern.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+      if (placeholders.some(name => !values[name])) return;
+
+      const title = placeholders.reduce((text, name) => text.replace(`{${name}}`, () => values[name]), template.pattern);
+      if (title.length > this.maxTitleLength || seen.has(title.toLowerCase())) return;
+      seen.add(title.toLowerCase());
+
+      const claims = [
+        ...placeholders.map(name => usedKeywords[name]).filter(Boolean),
+        ...template.claims
+      ];
+      const covered = coverage(claims);
+      const unsupported = claims.filter(claim => !covered.includes(claim));
+      if (template.needsSteps && steps < 3) unsupported.push('step-by-step');
+
+      candidates.push(this.scoreTitle(title, primaryKeyword, { variants, covered, unsupported, stopwords: config.stopwords }));
+    });
+
+    if (!coverage([primaryKeyword]).length) {
+      warnings.push({ type: 'keyword_missing_from_script', message: `"${primaryKeyword}" never appears in the script, so no title can honestly promise it` });
+    }
+
+    // Consistent titles first, then by score
+    const titles = candidates
+      .sort((a, b) => (b.consistent - a.consistent) || (b.score - a.score))
+      .slice(0, count)
+      .map((candidate, index) => ({ rank: index + 1, ...candidate }));
+
+    if (titles.length > 0 && !titles[0].consistent) {
+      warnings.push({ type: 'no_consistent_title', message: 'Every candidate promises something the script does not cover' });
+    }
+
+    return {
+      titles,
+      thumbnailText: this.generateThumbnailText(primaryKeyword, { contentStyle: style.base, steps, hookQuestion, covered: coverage(['beginner', 'mistake', 'worth', 'secret']), stopwords: config.stopwords }),
+      primaryKeyword,
+      language: code,
+      languageSupported: supported,
+      warnings
+    };
+  }
+
+  scoreTitle(title, keyword, { variants, covered, unsupported, stopwords = [] }) {
+    // Front-loaded keywords survive truncation in search results and on mobile
+    const match = this.findKeyword(title, keyword, { variants })[0];
+    const placement = !match ? 0 : match.index === 0 ? 1 : match.index <= 20 ? 0.8 : match.index <= 40 ? 0.5 : 0.25;
+
+    // 30-70 characters shows in full almost everywhere
+    const length = title.length;
+    const lengthScore = length < 30 ? length / 30 : length <= 70 ? 1 : 1 - (length - 70) / 60;
+
+    const claims = covered.length + unsupported.length;
+    const consistency = claims === 0 ? 1 : covered.length / claims;
+
+    // Saying the same word twice wastes title space
+    const stop = new Set(stopwords);
+    const words = this.getWords(title).map(word => word.toLowerCase()).filter(word => !stop.has(word));
+    const repeats = words.length - new Set(words).size;
+
+    return {
+      title,
+      score: Math.max(0, Math.round((placement * 0.4 + lengthScore * 0.2 + consistency * 0.4) * 100) - repeats * 10),
+      length,
+      keywordPlacement: { keyword, position: match ? match.index : null, score: placement },
+      lengthScore: Math.round(lengthScore * 100) / 100,
+      consistent: unsupported.length === 0,
+      claims: { covered, unsupported }
+    };
+  }
+
+  generateThumbnailText(keyword, { contentStyle, steps, hookQuestion, covered, stopwords }) {
+    const options = [];
+    const add = (text, reason) => {
+      const words = text.split(/\s+/).length;
+      if (words <= 4 && text.length <= 24 && !options.some(option => option.text === text)) {
+        options.push({ text, words, characters: text.length, reason });
+      }
+    };
+
+    const keywordWords = keyword.split(/\s+/);
+    add(keywordWords.slice(0, 3).join(' ').toUpperCase(), 'primary keyword');
+    if (steps >= 3) add(`${steps} STEPS`, 'step count from the script');
+    if (covered.includes('mistake')) add('AVOID THIS', 'script covers mistakes');
+    if (covered.includes('beginner')) add('BEGINNER\'S GUIDE', 'script addresses beginners');
+    if (covered.includes('worth')) add('WORTH IT?', 'script gives a verdict');
+    if (covered.includes('secret')) add('THE SECRET', 'hook promises a secret');
+    if (contentStyle === 'educational') add(`${keywordWords[0].toUpperCase()} EXPLAINED`, 'educational framing');
+
+    // The hook's question, cut down to its key words
+    if (hookQuestion) {
+      const stop = new Set(stopwords);
+      const terms = this.getWords(hookQuestion.text).filter(word => !stop.has(word.toLowerCase())).slice(0, 3);
+      if (terms.length > 0) add(`${terms.join(' ').toUpperCase()}?`, 'hook question');
+    }
+
+    return options.slice(0, 5);
+  }
+
+  titleCase(text) {
+    const small = /^(a|an|the|and|or|but|for|to|of|in|on|at|by|vs)$/i;
+    return text.split(/\s+/).map((word, i) => {
+      // Leave brand casing alone ("iPhone", "YouTube")
+      if (/[A-Z]/.test(word.slice(1)) || /^[A-Z]/.test(word)) return word;
+      if (i > 0 && small.test(word)) return word.toLowerCase();
+      return word.charAt(0).toUpperCase() + word.slice(1);
+    }).join(' ');
+  }
+
+  joinList(items) {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+  }
+
+  extractKeywords(keywords, concept) {
+    const primary = keywords?.recommended?.primary?.map(k => k.keyword) || (concept ? [concept] : []);
+    const secondary = keywords?.recommended?.secondary?.map(k => k.keyword) || [];
+    const longTail = keywords?.recommended?.longTail?.map(k => k.keyword) || [];
+
+    // Synonyms and variants, either on each keyword entry or as a top-level map
+    const variants = {};
+    const addVariants = (keyword, list) => {
+      if (!keyword || !Array.isArray(list)) return;
+      variants[keyword] = [...new Set([...(variants[keyword] || []), ...list.filter(v => typeof v === 'string' && v.trim())])];
+    };
+    ['primary', 'secondary', 'longTail'].forEach(tier => {
+      (keywords?.recommended?.[tier] || []).forEach(k => {
+        addVariants(k.keyword, k.variants);
+        addVariants(k.keyword, k.synonyms);
+      });
+    });
+    Object.entries(keywords?.variants || {}).forEach(([keyword, list]) => addVariants(keyword, list));
+
+    return { primary, secondary, longTail, all: [...primary, ...secondary, ...longTail], variants };
+  }
+
+  findKeyword(text, keyword, { variants = {} } = {}) {
+    const regex = this.keywordPattern(keyword, variants[keyword] || []);
+    const matches = [];
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+      matches.push({ index: match.index, end: match.index + match[0].length, text: match[0], form: match[0].toLowerCase() });
+    }
+
+    return matches;
+  }
+
+  countKeyword(text, keyword, options = {}) {
+    return this.findKeyword(text, keyword, options).length;
+  }
+
+  keywordPattern(keyword, variants = []) {
+    const cacheKey = JSON.stringify([keyword, variants]);
+
+    if (!this.keywordPatterns.has(cacheKey)) {
+      if (this.keywordPatterns.size >= 1000) this.keywordPatterns.clear();
+
+      const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const isWordChar = char => /[\p{L}\p{N}_]/u.test(char || '');
+
+      const sequence = tokens => tokens.map((token, i) => {
+        if (!/^\p{L}+$/u.test(token)) return escape(token);
+        const forms = this.wordForms(token).sort((a, b) => b.length - a.length).map(escape);
+        // Possessives count for the last word: "camera's"
+        const possessive = i === tokens.length - 1 ? "(?:['’]s?)?" : '';
+        return `(?:${forms.join('|')})${possessive}`;
+      }).join('[\\s\\-]+');
+
+      const phrasePattern = phrase => {
+        const tokens = phrase.trim().split(/\s+/);
+        // "video editing" is also said as "edit videos"
+        const body = tokens.length === 2 && /^\p{L}+ing$/u.test(tokens[1]) && /^\p{L}+$/u.test(tokens[0])
+          ? `(?:${sequence(tokens)}|${sequence([tokens[1], tokens[0]])})`
+          : sequence(tokens);
+
+        // Only demand a boundary where the keyword itself starts/ends with a word character
+        const before = isWordChar(phrase.trim()[0]) ? '(?<![\\p{L}\\p{N}_])' : '';
+        const after = isWordChar(phrase.trim().slice(-1)) ? '(?![\\p{L}\\p{N}_])' : '';
+        return `${before}${body}${after}`;
+      };
+
+      const phrases = [keyword, ...variants].filter(phrase => phrase && phrase.trim());
+      this.keywordPatterns.set(cacheKey, phrases.map(phrasePattern).join('|') || '(?!)');
+    }
+
+    return new RegExp(this.keywordPatterns.get(cacheKey), 'giu');
+  }
+
+  // Basic inflection: singular and plural forms ("camera"/"cameras", "battery"/"batteries"), and for
+  // verb forms the rest of the verb ("editing" -> "edit", "edits", "edited"). Agent nouns are their own
+  // words ("editor", "banner"), so -er is never stripped
+  wordForms(word) {
+    const lower = word.toLowerCase();
+    const { plural, suffix, fixed } = this.inflectionExceptions;
+    if (fixed.includes(lower)) return [lower];
+    const forms = new Set([lower]);
+
+    if (/[^aeiou]y$/.test(lower)) forms.add(lower.slice(0, -1) + 'ies');
+    else if (/(s|x|z|ch|sh)$/.test(lower)) forms.add(lower + 'es');
+    else forms.add(lower + 's');
+
+    if (!plural.includes(lower)) {
+      if (/ies$/.test(lower) && lower.length > 4) forms.add(lower.slice(0, -3) + 'y');
+      else if (/(s|x|z|ch|sh)es$/.test(lower)) forms.add(lower.slice(0, -2));
+      if (/[^su]s$/.test(lower) && !/is$/.test(lower) && lower.length > 3) forms.add(lower.slice(0, -1));
+    }
+
+    // Stems need three letters and a vowel, so "thing", "red" and "speed" stay whole
+    const suffixed = lower.match(/^(.+?)(ing|ed)$/);
+    if (suffixed && !suffix.includes(lower)) {
+      const joined = suffixed[1];
+      const doubled = /([^aeiousl])\1$/.test(joined);
+      if (joined.length >= 3 && /[aeiouy]/.test(joined) && !/e$/.test(joined)) {
+        // A doubled consonant only matches forms that keep it: "shopping" -> "shopped", while "wedding"
+        // doesn't turn into "wed"
+        forms.add(`${joined}ed`).add(`${joined}ing`);
+        if (!doubled) {
+          // A one-syllable stem dropped an e: "baking" -> "bake"
+          const base = /^[^aeiou]*[aeiou][^aeiouwxy]$/.test(joined) ? `${joined}e` : joined;
+          forms.add(base).add(`${base}s`);
+        }
+      }
+    }
+
+    return [...forms];
+  }
+
+  analyzeScript(script, keywords, { language = 'en', variants = {}, profile = null } = {}) {
+    const { config } = this.resolveLanguage(language, profile);
+    const words = this.getWords(script);
+    const sentences = this.getSentences(script, 0, language);
+    const paragraphs = script.split(/\n\n+/).filter(p => p.trim().length > 0);
+
+    // Sponsor copy is spoken but doesn't count toward keywords, density or readability
+    const sponsorSegments = this.findSponsorSegments(script);
+    const content = this.stripSponsorSegments(script, sponsorSegments);
+    const contentWords = this.getWords(content);
+
+    // Count keyword occurrences, and which surface forms ("cameras", a synonym...) matched
+    let keywordCount = 0;
+    const keywordOccurrences = {};
+    const keywordForms = {};
+
+    keywords.forEach(keyword => {
+      const matches = this.findKeyword(content, keyword, { variants });
+      if (matches.length > 0) {
+        keywordOccurrences[keyword] = matches.length;
+        keywordForms[keyword] = matches.reduce((forms, match) => {
+          forms[match.form] = (forms[match.form] || 0) + 1;
+          return forms;
+        }, {});
+        keywordCount += matches.length;
+      }
+    });
+
+    // Speaking time from the pacing model
+    const estimatedSeconds = Math.round(this.estimateSpeech(script, { language, profile }).seconds);
+
+    // Check for engagement elements
+    const hasQuestion = /\?/.test(script);
+    const callsToAction = this.findCallsToAction(this.getSentences(content, 0, language), config);
+    const hasCallToAction = callsToAction.length > 0;
+    const hasHook = sentences[0]?.text.length < 100;
+
+    return {
+      wordCount: words.length,
+      sentenceCount: sentences.length,
+      paragraphCount: paragraphs.length,
+      averageSentenceLength: Math.round(words.length / sentences.length),
+      estimatedDuration: this.formatTimestamp(estimatedSeconds),
+      estimatedSeconds,
+      keywordsFound: Object.keys(keywordOccurrences).length,
+      keywordOccurrences,
+      keywordForms,
+      totalKeywordMentions: keywordCount,
+      keywordDensity: ((keywordCount / Math.max(contentWords.length, 1)) * 100).toFixed(2),
+      sponsorWordCount: words.length - contentWords.length,
+      engagementElements: {
+        hasQuestion,
+        hasCallToAction,
+        hasHook,
+        callToActionCount: callsToAction.length,
+        questionCount: (script.match(/\?/g) || []).length
+      },
+      readabilityScore: this.calculateReadability(content, language)
+    };
+  }
+
+  parseSections(script, { language = 'en', profile = null } = {}) {
+    const markers = [];
+    const names = Object.keys(this.sectionAliases)
+      .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+    const bracketMarker = new RegExp(`^\\s*\\[\\s*(${names})\\s*(?::\\s*([^\\]]*))?\\]\\s*$`, 'i');
+    const labelMarker = new RegExp(`^\\s*(${names})\\s*:\\s*(.*)$`, 'i');
+    const headingMarker = /^\s*#{1,6}\s+(.+?)\s*#*\s*$/;
+
+    // Find marker lines like [HOOK], ## Intro or CTA:
+    let offset = 0;
+    for (const line of script.split('\n')) {
+      const lineEnd = offset + line.length;
+      let match;
+
+      if ((match = line.match(bracketMarker))) {
+        const name = this.sectionAliases[match[1].toLowerCase()];
+        markers.push({ name, title: match[2]?.trim() || null, markerStart: offset, contentStart: Math.min(lineEnd + 1, script.length) });
+      } else if ((match = line.match(headingMarker))) {
+        const heading = match[1].replace(/[:\s]+$/, '');
+        const name = this.sectionAliases[heading.toLowerCase()] || 'body';
+        markers.push({ name, title: this.sectionAliases[heading.toLowerCase()] ? null : heading, markerStart: offset, contentStart: Math.min(lineEnd + 1, script.length) });
+      } else if ((match = line.match(labelMarker))) {
+        const name = this.sectionAliases[match[1].toLowerCase()];
+        markers.push({ name, title: null, markerStart: offset, contentStart: lineEnd - match[2].length });
+      }
+
+      offset = lineEnd + 1;
+    }
+
+    const spans = markers.length > 0
+      ? this.sectionsFromMarkers(script, markers)
+      : this.inferSections(script, { language });
+
+    // Lay the sections out on the speaking timeline
+    let clock = 0;
+    return spans.map(span => {
+      const text = script.slice(span.start, span.end);
+      const wordCount = this.getWords(text).length;
+      const startTime = Math.round(clock);
+      clock += this.estimateSpeech(text, { language, profile }).seconds;
+      const endTime = Math.round(clock);
+
+      return {
+        name: span.name,
+        title: span.title || null,
+        source: span.source,
+        start: span.start,
+        end: span.end,
+        text,
+        wordCount,
+        startTime,
+        endTime,
+        duration: endTime - startTime
+      };
+    });
+  }
+
+  sectionsFromMarkers(script, markers) {
+    const spans = [];
+
+    // Text before the first marker opens the video
+    const preamble = this.trimSpan(script, 0, markers[0].markerStart);
+    if (preamble) {
+      const hasHookMarker = markers.some(marker => marker.name === 'hook');
+      spans.push({ name: hasHookMarker ? 'body' : 'hook', source: 'inferred', ...preamble });
+    }
+
+    markers.forEach((marker, i) => {
+      const end = i + 1 < markers.length ? markers[i + 1].markerStart : script.length;
+      const span = this.trimSpan(script, marker.contentStart, end) || { start: marker.contentStart, end: marker.contentStart };
+      spans.push({ name: marker.name, title: marker.title, source: 'marker', ...span });
+    });
+
+    return spans;
+  }
+
+  inferSections(script, { language = 'en' } = {}) {
+    const { config } = this.resolveLanguage(language);
+    const paragraphs = this.getParagraphs(script);
+    if (paragraphs.length === 0) return [];
+
+    const spans = [];
+    const hookWordLimit = Math.floor(this.scriptStructure.hook.window[1] * config.wordsPerMinute / 60);
+    const first = paragraphs[0];
+    const firstSentences = this.getSentences(first.text, first.start, language);
+
+    // Hook: opening sentences that fit in the hook window (always at least one)
+    let hookEnd = firstSentences[0]?.end ?? first.end;
+    let hookWords = 0;
+    for (const sentence of firstSentences) {
+      hookWords += this.getWords(sentence.text).length;
+      if (hookWords > hookWordLimit && sentence !== firstSentences[0]) break;
+      hookEnd = sentence.end;
+    }
+    spans.push({ name: 'hook', source: 'inferred', start: first.start, end: hookEnd });
+
+    // Intro: rest of the opening paragraph, or the second paragraph if the hook took all of it
+    let bodyFrom = 1;
+    const introRest = this.trimSpan(script, hookEnd, first.end);
+    if (introRest) {
+      spans.push({ name: 'intro', source: 'inferred', ...introRest });
+    } else if (paragraphs.length >= 3) {
+      spans.push({ name: 'intro', source: 'inferred', start: paragraphs[1].start, end: paragraphs[1].end });
+      bodyFrom = 2;
+    }
+
+    // CTA and outro: closing paragraphs that ask for engagement or sign off
+    const closing = [];
+    let bodyTo = paragraphs.length;
+    const outroPattern = /thanks for watching|see you (in the next|next time)|next video|that's (it|all)|in summary|to sum up|wrap(ping)? up/i;
+    const ctaPattern = new RegExp(`${config.ctaPattern.source}|share|notification|bell`, 'i');
+    for (let i = paragraphs.length - 1; i >= Math.max(bodyFrom, paragraphs.length - 2); i--) {
+      const name = ctaPattern.test(paragraphs[i].text) ? 'cta' : outroPattern.test(paragraphs[i].text) ? 'outro' : null;
+      if (!name || closing.some(span => span.name === name)) break;
+      closing.unshift({ name, source: 'inferred', start: paragraphs[i].start, end: paragraphs[i].end });
+      bodyTo = i;
+    }
+
+    const bodyParagraphs = paragraphs.slice(bodyFrom, bodyTo);
+    if (bodyParagraphs.length > 0) {
+      spans.push({
+        name: 'body',
+        source: 'inferred',
+        start: bodyParagraphs[0].start,
+        end: bodyParagraphs[bodyParagraphs.length - 1].end
+      });
+    }
+
+    return [...spans, ...closing];
+  }
+
+  analyzeSections(script, keywords, { language = 'en', variants = {}, profile = null } = {}) {
+    const { config } = this.resolveLanguage(language, profile);
+
+    return this.parseSections(script, { language, profile }).map(section => {
+      const { text, ...timing } = section;
+      const result = { ...timing, flags: this.checkSectionTiming(section) };
+
+      if (section.wordCount === 0) return result;
+
+      const analysis = this.analyzeScript(text, keywords, { language, variants, profile });
+      const found = keywords.filter(keyword => analysis.keywordOccurrences[keyword]);
+      const directAddress = (text.match(config.directAddressPattern) || []).length;
+
+      // Questions, "you" language and CTAs each pull viewers back in
+      const engagementScore = Math.min(100, Math.round(
+        analysis.engagementElements.questionCount * 25 +
+        Math.min(directAddress / section.wordCount * 100, 5) * 10 +
+        (analysis.engagementElements.hasCallToAction ? 25 : 0)
+      ));
+
+      return {
+        ...result,
+        keywordCoverage: {
+          found,
+          missing: keywords.filter(keyword => !found.includes(keyword)),
+          percentage: keywords.length > 0 ? Math.round(found.length / keywords.length * 100) : 0,
+          density: analysis.keywordDensity
+        },
+        readability: analysis.readabilityScore,
+        engagement: {
+          score: engagementScore,
+          questionCount: analysis.engagementElements.questionCount,
+          directAddressCount: directAddress,
+          hasCallToAction: analysis.engagementElements.hasCallToAction
+        }
+      };
+    });
+  }
+
+  checkSectionTiming(section) {
+    const guide = this.scriptStructure[section.name];
+    const flags = [];
+    if (!guide) return flags;
+
+    if (guide.window && section.endTime > guide.window[1]) {
+      flags.push({
+        type: 'section_timing',
+        message: `${section.name} runs until ${this.formatTimestamp(section.endTime)}, past the recommended ${guide.duration}`
+      });
+    }
+
+    if (guide.length && section.duration > guide.length[1]) {
+      flags.push({
+        type: 'section_length',
+        message: `${section.name} runs ${section.duration} seconds, longer than the recommended ${guide.duration}`
+      });
+    }
+
+    return flags;
+  }
+
+  getParagraphs(text, base = 0) {
+    const paragraphs = [];
+    const regex = /\S[\s\S]*?(?=\n[ \t]*\n|\s*$)/g;
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+      paragraphs.push({ text: match[0], start: base + match.index, end: base + match.index + match[0].length });
+    }
+
+    return paragraphs;
+  }
+
+  getSentences(text, base = 0, language = 'en') {
+    const { code, config } = this.resolveLanguage(language);
+    const sentences = [];
+    const regex = /[^.!?…\s][^.!?…]*(?:[.!?…]+["'»”)\]]*|$)/g;
+    let match;
+
+    // Hide abbreviation (and German ordinal) periods behind a same-length placeholder so offsets line up
+    let masked = text;
+    config.abbreviations.forEach(abbreviation => {
+      const pattern = new RegExp(`(?<![\\p{L}.])${abbreviation.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.`, 'gu');
+      masked = masked.replace(pattern, found => found.replace(/\./g, '\u2024'));
+    });
+    if (code === 'de') {
+      masked = masked.replace(/(?<=\b\d{1,2})\.(?=\s+(\p{Ll}|Januar|Februar|März|April|Mai|Juni|Juli|August|September|Oktober|November|Dezember))/gu, '\u2024');
+    }
+
+    while ((match = regex.exec(masked)) !== null) {
+      const trimmed = text.slice(match.index, match.index + match[0].length).trimEnd();
+      sentences.push({ text: trimmed, start: base + match.index, end: base + match.index + trimmed.length });
+    }
+
+    return sentences;
+  }
+
+  trimSpan(text, start, end) {
+    const slice = text.slice(start, end);
+    const leading = slice.length - slice.trimStart().length;
+    const trimmed = slice.trim();
+    if (!trimmed) return null;
+    return { start: start + leading, end: start + leading + trimmed.length };
+  }
+
+  getWords(text) {
+    return text.match(/[\p{L}\p{N}]+(?:['’.\-][\p{L}\p{N}]+)*/gu) || [];
+  }
+
+  resolveLanguage(language = 'en', profile = null) {
+    const code = String(language || 'en').toLowerCase().split(/[-_]/)[0];
+    const supported = Boolean(this.languages[code]);
+    const base = this.languages[supported ? code : 'en'];
+    const density = { min: 1, target: 2, max: this.maxKeywordDensity };
+
+    if (!profile) {
+      return { code, supported, config: { ...base, density, bannedPhrases: [] } };
+    }
+
+    // Channel profile settings win over the language defaults
+    const banned = (profile.bannedPhrases || []).map(phrase => phrase.toLowerCase());
+    const allowed = phrase => !banned.some(ban => phrase.toLowerCase().includes(ban));
+    const phrases = Object.fromEntries(Object.entries({ ...base.phrases, ...profile.phrases })
+      .map(([bank, list]) => [bank, list.filter(allowed).length > 0 ? list.filter(allowed) : list]));
+
+    const config = {
+      ...base,
+      wordsPerMinute: profile.wordsPerMinute || base.wordsPerMinute,
+      phrases,
+      templates: { ...base.templates, ...(profile.cta ? { cta: profile.cta, endCta: profile.cta } : {}) },
+      signOff: profile.signOff || null,
+      bannedPhrases: profile.bannedPhrases || [],
+      density: { ...density, ...profile.keywordDensity }
+    };
+
+    // The creator's own recording scales every timing estimate
+    if (profile.calibration) {
+      config.pacing = { ...config.pacing, calibration: this.calibrationFactor(profile.calibration, code, config).factor };
+    }
+
+    return { code, supported, config };
+  }
+
+  estimateSeconds(wordCount, wordsPerMinute = this.wordsPerMinute) {
+    return Math.round(wordCount / wordsPerMinute * 60);
+  }
+
+  // Speaking time: syllable load at the language's rate, punctuation and marker pauses,
+  // and the creator's calibration when the profile has one
+  estimateSpeech(text, { language = 'en', profile = null } = {}) {
+    const { code, config } = this.resolveLanguage(language, profile);
+    return this.measureSpeech(text, code, config);
+  }
+
+  measureSpeech(text, code, config) {
+    const { pauses } = this;
+    let pauseSeconds = 0;
+
+    const spoken = text
+      // [pause], [pause 2s], (beat): silence the reader holds
+      .replace(/[[(](?:pause|beat|silence)(?:\s+(\d+(?:\.\d+)?)\s*s(?:ec(?:onds?)?)?)?[\])]/gi, (marker, seconds) => {
+        pauseSeconds += seconds ? parseFloat(seconds) : pauses.marker;
+        return ' ';
+      })
+      // Stage directions like [B-roll] and section headings are not read out
+      .replace(/\[[^\]\n]*\]/g, ' ')
+      .replace(/^[ \t]*#{1,6}[ \t].*$/gm, '')
+      .replace(/\.{3,}/g, '…')
+      .trim();
+
+    const count = pattern => (spoken.match(pattern) || []).length;
+    pauseSeconds += count(/\n[ \t]*\n\s*(?=\S)/g) * pauses.paragraph
+      + count(/…/g) * pauses.ellipsis
+      + count(/[.!?]+(?=["'”’»)\]]*(?:\s|$))/g) * pauses.sentence
+      + count(/[,;:](?=\s)|\s[—–-]\s|—/g) * pauses.clause;
+
+    const words = spoken ? spoken.split(/\s+/).flatMap(token => this.spokenWords(token, config)) : [];
+    const syllables = words.reduce((sum, word) => sum + this.countSyllables(word, code), 0);
+
+    // Articulation rate, leaving out the pauses wordsPerMinute already includes
+    const syllablesPerSecond = config.wordsPerMinute * config.pacing.syllablesPerWord / 60 / (1 - this.pauseShare);
+    const seconds = (syllables / syllablesPerSecond + pauseSeconds) * (config.pacing.calibration || 1);
+
+    return { seconds, words: words.length, syllables, pauseSeconds };
+  }
+
+  // How one written token is read out: numbers spelled, URLs and symbols named, short acronyms lettered
+  spokenWords(token, config) {
+    const { spoken } = config.pacing;
+    const word = token.replace(/^[("'“‘«`*_]+|[)"'”’»`*_.,!?;:…]+$/g, '');
+    if (!word) return [];
+    const say = symbol => (spoken[symbol] || '').split(' ').filter(Boolean);
+
+    if (/^\p{L}+(?:['’-]\p{L}+)*$/u.test(word)) {
+      return /^[A-Z]{2,3}s?$/.test(word) ? [...word.replace(/s$/, '')] : [word];
+    }
+
+    // example.com/shop -> "example dot com slash shop"
+    const url = word.match(/^(?:https?:\/\/)?(?:www\.)?([\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}(?:\/\S*)?)$/iu);
+    if (url) {
+      return url[1].split(/([./])/).flatMap(part => (part === '.' || part === '/' ? say(part) : part.split(/[-_]/).flatMap(piece => this.spokenWords(piece, config))));
+    }
+
+    const number = word.match(/^([$€£])?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(%|x|k|m|bn|st|nd|rd|th|s)?$/i);
+    if (number) {
+      const [, currency, whole, decimals, suffix = ''] = number;
+      // 1990 reads "nineteen ninety", 2005 "two thousand five"
+      const year = /^(1[1-9]|20)\d\d$/.test(whole) && !/^200\d$/.test(whole) && !currency && !decimals && /^s?$/i.test(suffix);
+      const words = year
+        ? [...this.numberWords(whole.slice(0, 2)), ...(whole.endsWith('00') ? ['hundred'] : whole[2] === '0' ? ['oh', ...this.numberWords(whole[3])] : this.numberWords(whole.slice(2)))]
+        : this.numberWords(whole.replace(/,/g, ''));
+      if (decimals) words.push(...say('point'), ...[...decimals].flatMap(digit => this.numberWords(digit)));
+      const scale = { k: 'thousand', m: 'million', bn: 'billion' }[suffix.toLowerCase()];
+      if (scale) words.push(scale);
+      if (suffix === '%') words.push(...say('%'));
+      if (/^x$/i.test(suffix)) words.push(...say('times'));
+      if (currency) words.push(...say(currency));
+      return words;
+    }
+
+    if (/^[#@][\p{L}\p{N}_]+$/u.test(word)) {
+      return [...say(word[0]), ...word.slice(1).split('_').filter(Boolean)];
+    }
+
+    // Code, ranges and times: read piece by piece, with a dash between numbers as "to";
+    // dots and slashes are only read out in URLs
+    const parts = word.match(/\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?|\p{L}+|[^\p{L}\p{N}]/gu) || [];
+    if (parts.length === 1 && !/[\p{L}\p{N}]/u.test(word)) return say(word);
+    return parts.flatMap((part, index) => {
+      if (/[\p{L}\p{N}]/u.test(part)) return this.spokenWords(part, config);
+      const between = /\d$/.test(parts[index - 1] || '') && /^\d/.test(parts[index + 1] || '');
+      if (part === '-') return between ? say('to') : [];
+      return part === '.' || part === '/' ? [] : say(part);
+    });
+  }
+
+  // English number words; other languages use them as a stand-in for timing
+  numberWords(digits) {
+    const ones = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+    const tens = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+    const scales = ['', 'thousand', 'million', 'billion', 'trillion'];
+
+    digits = digits.replace(/^0+(?=\d)/, '');
+    if (digits.length > 15) return [...digits].map(digit => ones[digit]);
+
+    const belowThousand = n => {
+      const words = [];
+      if (n >= 100) words.push(ones[Math.floor(n / 100)], 'hundred');
+      n %= 100;
+      if (n >= 20) words.push(tens[Math.floor(n / 10)], ...(n % 10 ? [ones[n % 10]] : []));
+      else if (n > 0) words.push(ones[n]);
+      return words;
+    };
+
+    const value = Number(digits);
+    if (value === 0) return ['zero'];
+    const words = [];
+    for (let scale = scales.length - 1; scale >= 0; scale--) {
+      const group = Math.floor(value / 1000 ** scale) % 1000;
+      if (group > 0) words.push(...belowThousand(group), ...(scales[scale] ? [scales[scale]] : []));
+    }
+    return words;
+  }
+
+  // How much slower or faster than the model a creator reads, from a sample and its recording length
+  calibratePacing({ sample, durationSeconds, language = 'en', profile: profileId }) {
+    if (!sample || !(durationSeconds > 0)) {
+      throw new Error('Sample and durationSeconds are required');
+    }
+
+    const profile = this.resolveProfile(profileId);
+    const { code, config } = this.resolveLanguage(language, profile ? { ...profile, calibration: null } : null);
+    const { seconds, words, factor } = this.calibrationFactor({ sample, durationSeconds }, code, config);
+
+    return {
+      language: code,
+      profile: profile ? profile.id : null,
+      modelSeconds: Math.round(seconds * 10) / 10,
+      recordedSeconds: durationSeconds,
+      factor: Math.round(factor * 1000) / 1000,
+      wordsPerMinute: Math.round(words / durationSeconds * 60),
+      clamped: factor !== durationSeconds / seconds,
+      calibration: { sample, durationSeconds }
+    };
+  }
+
+  calibrationFactor(calibration, code, config) {
+    const cached = this.calibrations.get(calibration)?.[code];
+    if (cached) return cached;
+
+    const { seconds, words } = this.measureSpeech(calibration.sample, code, config);
+    // A sample this far off the model is more likely a wrong length than a real pace
+    const factor = seconds > 0 ? Math.min(2, Math.max(0.5, calibration.durationSeconds / seconds)) : 1;
+    const result = { seconds, words, factor };
+    this.calibrations.set(calibration, { ...this.calibrations.get(calibration), [code]: result });
+    return result;
+  }
+
+  formatTimestamp(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+      : `${minutes}:${secs}`;
+  }
+
+  calculateReadability(script, language = 'en') {
+    const { code, supported, config } = this.resolveLanguage(language);
+    const words = this.getWords(script);
+    const sentences = this.getSentences(script, 0, code);
+
+    if (!supported) {
+      return { score: null, level: 'unavailable', formula: null };
+    }
+    if (words.length === 0 || sentences.length === 0) {
+      return { score: null, level: 'unavailable', formula: config.readabilityFormula };
+    }
+
+    const avgWordsPerSentence = words.length / sentences.length;
+    const avgSyllables = words.reduce((sum, word) => sum + this.countSyllables(word, code), 0) / words.length;
+
+    let score;
+    switch(code) {
+      case 'es':
+        // Fernández-Huerta: syllables and sentences per 100 words
+        score = 206.84 - (0.60 * avgSyllables * 100) - (1.02 * 100 / avgWordsPerSentence);
+        break;
+
+      case 'de':
+        // Amstad
+        score = 180 - avgWordsPerSentence - (58.5 * avgSyllables);
+        break;
+
+      case 'pt':
+        // Flesch adapted for Portuguese by Martins et al.
+        score = 248.835 - (1.015 * avgWordsPerSentence) - (84.6 * avgSyllables);
+        break;
+
+      default:
+        // Simplified Flesch-Kincaid
+        score = 206.835 - (1.015 * avgWordsPerSentence) - (84.6 * avgSyllables);
+    }
+
+    let level;
+    if (score >= 80) level = 'very easy';
+    else if (score >= 60) level = 'easy';
+    else if (score >= 40) level = 'moderate';
+    else if (score >= 20) level = 'difficult';
+    else level = 'very difficult';
+
+    return { score: Math.round(score), level, formula: config.readabilityFormula };
+  }
+
+  countSyllables(word, language = 'en') {
+    const { code, config } = this.resolveLanguage(language);
+    if (code !== 'en' && config.vowels) {
+      return this.countVowelGroups(word, config);
+    }
+
+    word = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (word.length <= 3) return 1;
+
+    const vowels = 'aeiouy';
+    let count = 0;
+    let prevWasVowel = false;
+
+    for (const char of word) {
+      const isVowel = vowels.includes(char);
+      if (isVowel && !prevWasVowel) count++;
+      prevWasVowel = isVowel;
+    }
+
+    // Adjust for silent e
+    if (word.endsWith('e')) count--;
+    return Math.max(1, count);
+  }
+
+  countVowelGroups(word, { vowels, strongVowels = '', diphthongs = [] }) {
+    word = word.toLowerCase().replace(/[^\p{L}]/gu, '');
+    let count = 0;
+    let prev = null;
+
+    for (const char of word) {
+      const isVowel = vowels.includes(char);
+      // Two strong vowels side by side are a hiatus and split into separate syllables
+      const hiatus = prev && strongVowels.includes(prev) && strongVowels.includes(char) && !diphthongs.includes(prev + char);
+      if (isVowel && (!prev || hiatus)) count++;
+      prev = isVowel ? char : null;
+    }
+
+    return Math.max(1, count);
+  }
+
+  generateOptimizations(script, keywords, contentStyle, level, { language = 'en', variants = {}, secondaryKeywords = [], longTailKeywords = [], profile = null } = {}) {
+    const { config } = this.resolveLanguage(language, profile);
+    const { rewrite } = config;
+    const changes = [];
+    const engagementPoints = [];
+
+    // Determine how aggressive to be
+    const intensity = { light: 1, moderate: 2, aggressive: 3 }[level] || 2;
+
+    // Check for keyword opportunities in first paragraph
+    const firstParagraph = script.split(/\n\n/)[0] || '';
+    const primaryKeyword = keywords[0];
+
+    if (primaryKeyword && this.countKeyword(firstParagraph, primaryKeyword, { variants }) === 0) {
+      changes.push({
+        type: 'keyword_insertion',
+        location: 'opening',
+        suggestion: `Add "${primaryKeyword}" to your opening to improve SEO`,
+        priority: 'high'
+      });
+    }
+
+    // Check for engagement opportunities
+    if (!script.includes('?')) {
+      changes.push({
+        type: 'engagement',
+        location: 'throughout',
+        suggestion: 'Add questions to increase viewer engagement',
+        priority: 'medium'
+      });
+      engagementPoints.push({ type: 'question', suggested: true });
+    }
+
+    // Check for call to action
+    const calls = this.findCallsToAction(this.getSentences(script, 0, language), config);
+    if (calls.length === 0) {
+      changes.push({
+        type: 'cta',
+        location: 'middle and end',
+        suggestion: 'Add calls to action (subscribe, like, comment)',
+        priority: 'high'
+      });
+    }
+
+    const repeated = calls.filter(call => call.duplicate);
+    if (repeated.length > 0) {
+      changes.push({
+        type: 'cta_duplicate',
+        location: `${repeated.length} sentence(s)`,
+        suggestion: 'Cut calls to action that repeat an earlier ask so they don\'t stack up',
+        priority: 'medium'
+      });
     }
 
-    console.log(`Optimizing script for: "${concept}"`);
+    // Check keyword density, leaving sponsor reads out
+    const content = this.stripSponsorSegments(script);
+    const words = this.getWords(content).length;
+    const keywordMentions = keywords.reduce((count, kw) => count + this.countKeyword(content, kw, { variants }), 0);
+    const density = (keywordMentions / words) * 100;
 
-    // Extract keywords
-    const primaryKeywords = keywords?.recommended?.primary?.map(k => k.keyword) || [concept];
-    const secondaryKeywords = keywords?.recommended?.secondary?.map(k => k.keyword) || [];
-    const longTailKeywords = keywords?.recommended?.longTail?.map(k => k.keyword) || [];
+    if (density < config.density.min && intensity >= 2) {
+      changes.push({
+        type: 'keyword_density',
+        location: 'throughout',
+        suggestion: `Keyword density is ${density.toFixed(2)}%. Aim for ${config.density.min}-${config.density.target}%`,
+        priority: 'medium'
+      });
+    }
+
+    // Check for hook
+    const firstSentence = script.split(/[.!?]/)[0];
+    if (firstSentence && firstSentence.length > 150) {
+      changes.push({
+        type: 'hook',
+        location: 'opening',
+        suggestion: 'Shorten your opening hook - aim for under 150 characters',
+        priority: 'high'
+      });
+    }
+
+    if (config.signOff && !script.toLowerCase().includes(config.signOff.toLowerCase())) {
+      changes.push({
+        type: 'sign_off',
+        location: 'end',
+        suggestion: `End with the channel sign-off: "${config.signOff}"`,
+        priority: 'low'
+      });
+    }
+
+    // Style-specific recommendations
+    if (contentStyle === 'tutorial' && !config.stepPattern.test(script)) {
+      changes.push({
+        type: 'structure',
+        location: 'throughout',
+        suggestion: 'Add step markers (First, Next, Then, Finally) for tutorials',
+        priority: 'medium'
+      });
+    }
+
+    // Sentence-level rewrites; light only suggests them, moderate and aggressive apply them
+    const sections = this.parseSections(script, { language });
+    const sentences = sections.flatMap(section => this.getSentences(section.text, section.start, language));
+    const hook = sections.find(section => section.name === 'hook') || sections[0];
+    const greets = rewrite.greeting.test(sentences[0]?.text || '');
+    const weakOpeners = sentences.filter(sentence => rewrite.filler.test(sentence.text));
+    if (weakOpeners.length > 0 || greets) {
+      changes.push({
+        type: 'weak_opener',
+        location: `${weakOpeners.length + (greets ? 1 : 0)} sentence(s)`,
+        suggestion: 'Cut filler openers ("So,", "Basically") and open the video with the topic, not a greeting',
+        priority: intensity >= 2 ? 'high' : 'medium'
+      });
+    }
+
+    const longSentences = sentences.filter(sentence => this.getWords(sentence.text).length > 25);
+    if (longSentences.length > 0) {
+      changes.push({
+        type: 'sentence_length',
+        location: `${longSentences.length} sentence(s)`,
+        suggestion: 'Split sentences over 25 words so they are easier to say and follow',
+        priority: intensity >= 3 ? 'high' : 'low'
+      });
+    }
+
+    // A sponsor's promise is not the video's
+    const sponsorSegments = this.findSponsorSegments(script);
+    const buried = hook && sentences.find(sentence => sentence.start >= hook.end && rewrite.value.test(sentence.text) &&
+      !sponsorSegments.some(segment => sentence.start >= segment.start && sentence.end <= segment.end));
+    if (buried && !rewrite.value.test(hook.text)) {
+      changes.push({
+        type: 'value_statement',
+        location: 'opening',
+        suggestion: `Move your strongest promise into the hook: "${buried.text}"`,
+        priority: intensity >= 3 ? 'high' : 'medium'
+      });
+    }
+
+    const bodyParagraphs = sections
+      .filter(section => section.name === 'body')
+      .flatMap(section => this.getParagraphs(section.text, section.start));
+    const bridged = bodyParagraphs.filter(paragraph => config.phrases.transition.some(phrase => paragraph.text.startsWith(phrase)));
+    if (bodyParagraphs.length >= 3 && bridged.length < 2) {
+      changes.push({
+        type: 'transition',
+        location: 'between body paragraphs',
+        suggestion: 'Bridge body paragraphs with transitions so the video flows from point to point',
+        priority: 'low'
+      });
+    }
+
+    const missing = [...secondaryKeywords, ...longTailKeywords].filter(kw => this.countKeyword(script, kw, { variants }) === 0);
+    if (missing.length > 0) {
+      changes.push({
+        type: 'keyword_spread',
+        location: 'body',
+        suggestion: `Work ${this.joinList(missing.map(kw => `"${kw}"`))} into the body`,
+        priority: intensity >= 3 ? 'medium' : 'low'
+      });
+    }
+
+    return { changes, engagementPoints };
+  }
+
+  applyOptimizations(script, optimizations, primaryKeywords, contentStyle, {
+    random = Math.random,
+    language = 'en',
+    variants = {},
+    level = 'moderate',
+    secondaryKeywords = [],
+    longTailKeywords = [],
+    profile = null
+  } = {}) {
+    const { config } = this.resolveLanguage(language, profile);
+    const { templates, rewrite } = config;
+    const fill = (template, keyword) => template.replace('{keyword}', () => keyword);
+    const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+    const intensity = { light: 1, moderate: 2, aggressive: 3 }[level] || 2;
+    const patches = [];
+    const primaryKeyword = primaryKeywords[0];
     const allKeywords = [...primaryKeywords, ...secondaryKeywords, ...longTailKeywords];
 
-    // Analyze original script
-    const originalAnalysis = this.analyzeScript(script, allKeywords);
+    // Stay under the stuffing threshold generateWarnings enforces; sponsor reads don't count
+    const density = text => {
+      const content = this.stripSponsorSegments(text);
+      const mentions = allKeywords.reduce((count, kw) => count + this.countKeyword(content, kw, { variants }), 0);
+      return (mentions / Math.max(this.getWords(content).length, 1)) * 100;
+    };
 
-    // Generate optimizations
-    const optimizations = this.generateOptimizations(
-      script,
-      allKeywords,
-      contentStyle,
-      optimizationLevel
-    );
+    // Nothing is inserted into or edited inside a sponsor read. Inserts on its edge only count
+    // as outside when they start or end with a line break of their own.
+    const sponsorSegments = this.findSponsorSegments(script);
+    const sponsored = (offset, length, text) => sponsorSegments.some(segment =>
+      (offset < segment.end && offset + length > segment.start) ||
+      (length === 0 && offset >= segment.start && offset <= segment.end &&
+        !(offset === segment.start && text.endsWith('\n')) && !(offset === segment.end && text.startsWith('\n'))));
 
-    // Generate optimized script
-    const optimizedScript = this.applyOptimizations(
-      script,
-      optimizations,
-      primaryKeywords,
-      contentStyle
-    );
+    // Every edit is recorded against the original script so callers can accept them one by one.
+    // Edits that overlap an earlier one or a sponsor read, or push keyword density too high, are dropped.
+    const addPatch = (rule, changeType, offset, length, text) => {
+      const end = offset + length;
+      const clashes = patches.some(patch => {
+        const patchEnd = patch.offset + patch.length;
+        return (offset < patchEnd && end > patch.offset) || (offset === patch.offset && (length > 0 || patch.length > 0));
+      });
+      if (clashes || sponsored(offset, length, text)) return false;
 
-    // Analyze optimized script
-    const optimizedAnalysis = this.analyzeScript(optimizedScript, allKeywords);
+      patches.push({
+        id: `patch-${patches.length + 1}`,
+        rule,
+        offset,
+        length,
+        original: script.slice(offset, end),
+        text,
+        change: optimizations.changes.find(change => change.type === changeType) || null
+      });
 
-    // Generate script structure recommendations
-    const structureRecommendations = this.generateStructureRecommendations(
-      script,
-      targetDuration,
-      contentStyle
-    );
+      const before = density(this.patchScript(script, patches.slice(0, -1)));
+      const after = density(current());
+      const banned = config.bannedPhrases.some(phrase => text.toLowerCase().includes(phrase.toLowerCase()));
+      if (banned || (after > before && after >= config.density.max)) {
+        patches.pop();
+        return false;
+      }
+      return true;
+    };
+    const current = () => this.patchScript(script, patches);
 
-    // Generate engagement suggestions
-    const engagementSuggestions = this.generateEngagementSuggestions(
-      script,
-      contentStyle
-    );
+    // "When it comes to {keyword}, ..." in front of a sentence, replacing any filler opener. Sentences that
+    // open on a step or transition ("Next, ...") keep it: viewers and generateChapters follow those.
+    const leadIn = (sentence, keyword) => {
+      const skip = (sentence.text.match(rewrite.filler) || [''])[0].length;
+      const text = sentence.text.slice(skip);
+      const firstWord = text.match(/^\S+/)[0];
+      if (config.stepPattern.test(firstWord) || config.phrases.transition.some(phrase => text.startsWith(phrase))) return null;
+      // Keep "I" and acronyms capitalized
+      const keepCase = config.keepCase || /^(I|I'\w+|[A-Z0-9]{2,}\W*)$/.test(firstWord);
+      const lead = keepCase ? text.charAt(0) : text.charAt(0).toLowerCase();
+      if (!this.fillSentence(`${templates.leadIn}${lead}${text.slice(1)}`, keyword, config)) return null;
+      return [sentence.start, skip + 1, `${fill(templates.leadIn, keyword)}${lead}`];
+    };
+
+    const sections = this.parseSections(script, { language });
+    const sentences = sections.flatMap(section => this.getSentences(section.text, section.start, language));
+    const hook = sections.find(section => section.name === 'hook') || sections[0];
+    const bodyParagraphs = sections
+      .filter(section => section.name === 'body')
+      .flatMap(section => this.getParagraphs(section.text, section.start));
+
+    // Add hook if missing (prepend to script)
+    const firstSentence = script.split(/(?<=[.!?])\s+/)[0];
+    const hookLine = this.fillSentence(this.pickPhrase(templates.hooks, random), primaryKeyword, config);
+
+    if (firstSentence?.length > 150 && hookLine) {
+      addPatch('hook', 'hook', 0, 0, `${hookLine} `);
+    }
+
+    // Add keyword to first paragraph if missing, as a sentence of its own before the second one
+    const firstParagraph = current().split(/\n\n/)[0];
+    if (primaryKeyword && firstParagraph && this.countKeyword(firstParagraph, primaryKeyword, { variants }) === 0) {
+      const second = this.getSentences(script.split(/\n\n/)[0], 0, language)[1];
+      const topic = this.fillSentence(templates.topic, primaryKeyword, config);
+      if (second && topic) {
+        addPatch('keyword_lead_in', 'keyword_insertion', second.start, 0, `${topic} `);
+      }
+    }
+
+    // Spread calls to action over the timeline, cut repeated ones and close with the sign-off
+    const ctaPlan = this.planCallsToAction(script, { language, profile, primaryKeyword });
+    const changeTypes = { comment: 'engagement', sign_off: 'sign_off' };
+    const applied = edit => {
+      const changeType = edit.rule === 'cta_duplicate' ? 'cta_duplicate' : changeTypes[edit.kind] || 'cta';
+      if (!addPatch(edit.rule, changeType, edit.offset, edit.length, edit.text || '')) return false;
+      edit.patchId = patches[patches.length - 1].id;
+      return true;
+    };
+    const callsToAction = {
+      ...ctaPlan,
+      removals: ctaPlan.removals.filter(applied),
+      // Editor cues stay in the plan only
+      placements: ctaPlan.placements.filter(placement => placement.cue || applied(placement))
+    };
+
+    if (intensity >= 2) {
+      // Open with the topic instead of a greeting
+      const opening = this.getSentences(hook.text, hook.start, language)[0];
+      if (opening && hookLine && rewrite.greeting.test(opening.text) && this.getWords(opening.text).length <= 12) {
+        addPatch('weak_opener', 'weak_opener', opening.start, opening.end - opening.start, hookLine);
+      }
+
+      // Drop filler at the start of sentences ("So, ..." / "Basically ...")
+      sentences.forEach(sentence => {
+        const filler = sentence.text.match(rewrite.filler);
+        if (filler && sentence.text.length > filler[0].length) {
+          const next = sentence.text.charAt(filler[0].length);
+          addPatch('weak_opener', 'weak_opener', sentence.start, filler[0].length + 1, capitalize(next));
+        }
+      });
+
+      // Slot the primary keyword into a generic noun phrase ("this technique" -> "this sourdough technique")
+      if (primaryKeyword && primaryKeyword.split(/\s+/).length <= 3) {
+        sentences
+          .filter(sentence => this.countKeyword(sentence.text, primaryKeyword, { variants }) === 0)
+          .map(sentence => ({ sentence, match: sentence.text.match(rewrite.keywordSlot.pattern) }))
+          .filter(({ match }) => match)
+          .some(({ sentence, match }) => {
+            const text = match[0].replace(rewrite.keywordSlot.pattern, fill(rewrite.keywordSlot.template, primaryKeyword));
+            return addPatch('keyword_insertion', 'keyword_insertion', sentence.start + match.index, match[0].length, text);
+          });
+      }
+    }
+
+    if (intensity >= 3) {
+      // Split over-long sentences at the conjunction nearest the middle
+      sentences.forEach(sentence => {
+        const words = this.getWords(sentence.text).length;
+        if (words <= 25) return;
+
+        const candidates = [...sentence.text.matchAll(new RegExp(rewrite.split.source, rewrite.split.flags))]
+          .map(match => ({
+            match,
+            before: this.getWords(sentence.text.slice(0, match.index)).length
+          }))
+          .filter(({ before }) => before >= 6 && words - before >= 6)
+          .sort((a, b) => Math.abs(a.before - words / 2) - Math.abs(b.before - words / 2));
+        if (candidates.length === 0) return;
+
+        const { match } = candidates[0];
+        const conjunction = match[1];
+        const next = sentence.text.charAt(match.index + match[0].length);
+        const keep = conjunction && rewrite.splitKeep.includes(conjunction.toLowerCase());
+        addPatch(
+          'split_sentence',
+          'sentence_length',
+          sentence.start + match.index,
+          match[0].length + 1,
+          keep ? `. ${capitalize(conjunction)} ${next}` : `. ${capitalize(next)}`
+        );
+      });
+
+      // Move a value statement buried in the body up into the hook
+      if (!rewrite.value.test(hook.text)) {
+        const buried = sentences.find(sentence => sentence.start >= hook.end && rewrite.value.test(sentence.text) &&
+          !sponsorSegments.some(segment => sentence.start >= segment.start && sentence.end <= segment.end));
+        const hookStart = hook.start + (hook.text.length - hook.text.trimStart().length);
+        if (buried) {
+          // Take the whitespace with it; a sentence on a line of its own takes the blank line too
+          const rest = script.slice(buried.end);
+          const startsLine = buried.start === 0 || script[buried.start - 1] === '\n';
+          const endsLine = /^[ \t]*(\n|$)/.test(rest);
+          const leading = !startsLine && endsLine ? script.slice(0, buried.start).match(/[ \t]*$/)[0].length : 0;
+          const trailing = startsLine && endsLine ? rest.match(/^\s*/)[0].length : endsLine ? 0 : rest.match(/^[ \t]*/)[0].length;
+          // Goes after a rewritten opening line rather than clashing with it
+          const opener = patches.find(patch => patch.offset === hookStart && patch.length > 0);
+          const inserted = opener
+            ? addPatch('move_value_statement', 'value_statement', opener.offset + opener.length, 0, ` ${buried.text}`)
+            : addPatch('move_value_statement', 'value_statement', hookStart, 0, `${buried.text} `);
+          if (inserted) {
+            if (!addPatch('move_value_statement', 'value_statement', buried.start - leading, buried.end - buried.start + leading + trailing, '')) {
+              patches.pop();
+            }
+          }
+        }
+      }
+
+      // Spread secondary and long-tail keywords the script never mentions across the body
+      const missing = [...secondaryKeywords, ...longTailKeywords].filter(kw => this.countKeyword(current(), kw, { variants }) === 0);
+      missing.forEach((keyword, i) => {
+        const target = Math.floor(((i + 1) * bodyParagraphs.length) / (missing.length + 1));
+        [...bodyParagraphs.slice(target), ...bodyParagraphs.slice(0, target)]
+          .filter(paragraph => !patches.some(patch => patch.rule === 'keyword_spread' && patch.offset >= paragraph.start && patch.offset < paragraph.end))
+          .some(paragraph => {
+            const sentence = this.getSentences(paragraph.text, paragraph.start, language)[0];
+            const edit = sentence && leadIn(sentence, keyword);
+            return edit && addPatch('keyword_spread', 'keyword_spread', ...edit);
+          });
+      });
+
+      // Transitions between body paragraphs that jump straight in
+      const objectPhrases = config.phrases.transition.filter(phrase => rewrite.objectLinks.includes(phrase.split(/\s+/).pop().toLowerCase()));
+      const standalonePhrases = config.phrases.transition.filter(phrase => !objectPhrases.includes(phrase));
+      let transitions = 0;
+      bodyParagraphs.slice(1).forEach(paragraph => {
+        if (transitions >= 3) return;
+        const firstWord = paragraph.text.split(/\s+/)[0] || '';
+        if (config.stepPattern.test(firstWord) || config.phrases.transition.some(phrase => paragraph.text.startsWith(phrase))) return;
+
+        const keyword = allKeywords.find(kw => this.countKeyword(paragraph.text, kw, { variants }) > 0);
+        const text = keyword && objectPhrases.length > 0
+          ? `${this.pickPhrase(objectPhrases, random)} ${keyword}. `
+          : `${this.pickPhrase(standalonePhrases, random)}. `;
+        if (addPatch('transition', 'transition', paragraph.start, 0, text)) transitions++;
+      });
+    }
+
+    // Light only suggests: the patches are returned but the script is left as written
+    return { script: intensity >= 2 ? current() : script, patches, callsToAction };
+  }
+
+  // A template filled with a keyword, or null when the result wouldn't read as one sentence: the
+  // keyword is a question or clause ("how to dial in espresso"), or the fill doubles a word
+  fillSentence(template, keyword, config) {
+    if (!template || !keyword || config.rewrite.clause.test(keyword.trim())) return null;
+    const text = template.replace('{keyword}', () => keyword.trim());
+    const sentence = /^[¿¡"“]?\p{Lu}/u.test(text) && /[.!?]["”]?$/.test(text) && !/[{}]/.test(text);
+    return sentence && !/(?<!\p{L})(\p{L}+)\s+\1(?!\p{L})/iu.test(text) ? text : null;
+  }
+
+  createRewriter({ REWRITE_PROVIDER: provider, REWRITE_API_URL: baseUrl, REWRITE_API_KEY: apiKey, REWRITE_MODEL: model, REWRITE_TIMEOUT_MS: timeoutMs } = {}) {
+    switch ((provider || '').toLowerCase()) {
+      case '':
+      case 'none':
+        return null;
+      case 'mock':
+        return new MockRewriteProvider();
+      case 'openai':
+        return new OpenAIRewriteProvider({
+          baseUrl: baseUrl || undefined,
+          apiKey,
+          model: model || undefined,
+          timeoutMs: timeoutMs ? Number(timeoutMs) : undefined
+        });
+      default:
+        throw new Error(`Unknown rewrite provider: ${provider}`);
+    }
+  }
+
+  async rewritePatches(script, patches, { language = 'en', variants = {}, keywords = [], contentStyle = 'tutorial', profile = null } = {}) {
+    const { config } = this.resolveLanguage(language, profile);
+    const rewriter = this.rewriter;
+    const report = { provider: rewriter.name, rewritten: [], rejected: [], fallback: false };
+    const sentences = this.parseSections(script, { language })
+      .flatMap(section => this.getSentences(section.text, section.start, language));
+
+    const analyze = candidate => this.analyzeScript(this.patchScript(script, candidate), keywords, { language, variants, profile });
+    let baseline = analyze(patches);
+    let current = patches;
+
+    for (const patch of patches) {
+      const keyword = keywords.find(kw => this.countKeyword(patch.text, kw, { variants }) > 0) || keywords[0];
+      let request = null;
+
+      // What to ask for, and which part of the original script the answer replaces
+      if (patch.rule === 'keyword_lead_in' || patch.rule === 'keyword_spread') {
+        const sentence = sentences.find(candidate => candidate.start === patch.offset);
+        if (sentence) {
+          request = { task: 'keyword', text: sentence.text, offset: sentence.start, length: sentence.end - sentence.start, wrap: text => text };
+        }
+      } else if (patch.rule === 'hook' || (patch.rule === 'weak_opener' && config.rewrite.greeting.test(patch.original))) {
+        // Only the inserted line is sent: the writer's opening sentence after it stays as written
+        request = patch.length > 0
+          ? { task: 'hook', text: patch.original, offset: patch.offset, length: patch.length, wrap: text => text }
+          : { task: 'hook', text: patch.text.trim(), offset: patch.offset, length: 0, wrap: text => `${text} ` };
+      } else if (patch.rule === 'cta') {
+        request = { task: 'cta', text: patch.text.trim(), offset: patch.offset, length: patch.length, wrap: text => `\n\n${text}` };
+      }
+      if (!request || !keyword) continue;
+
+      let text;
+      try {
+        text = (await rewriter.rewrite({ task: request.task, text: request.text, keyword, language: config.name, contentStyle })).trim();
+      } catch (error) {
+        report.rejected.push({ patchId: patch.id, reason: error.message });
+        continue;
+      }
+
+      // Re-validate: the edit must keep its keyword (or CTA), not clash, and not cost coverage or readability
+      const end = request.offset + request.length;
+      const others = current.filter(other => other.id !== patch.id);
+      let reason = null;
+
+      if (!text || text.length > request.text.length * 3 + 200) {
+        reason = 'Rewrite was empty or too long';
+      } else if (request.task === 'hook' && this.getWords(text).length >= 25) {
+        reason = 'Rewrite is too long for a hook';
+      } else if (request.task === 'cta' ? !config.ctaPattern.test(text) : this.countKeyword(text, keyword, { variants }) === 0) {
+        reason = request.task === 'cta' ? 'Rewrite dropped the call to action' : `Rewrite dropped "${keyword}"`;
+      } else if (config.bannedPhrases.some(phrase => text.toLowerCase().includes(phrase.toLowerCase()))) {
+        reason = 'Rewrite uses a banned phrase';
+      } else if (others.some(other => request.offset < other.offset + other.length && end > other.offset)) {
+        reason = 'Rewrite would overlap another edit';
+      } else {
+        const replacement = {
+          ...patch,
+          offset: request.offset,
+          length: request.length,
+          original: script.slice(request.offset, end),
+          text: request.wrap(text),
+          rewrittenBy: rewriter.name
+        };
+        const candidate = current.map(other => (other.id === patch.id ? replacement : other));
+        const analysis = analyze(candidate);
+        const readability = analysis.readabilityScore.score;
+        const baselineReadability = baseline.readabilityScore.score;
+
+        if (analysis.keywordsFound < baseline.keywordsFound) {
+          reason = 'Rewrite reduced keyword coverage';
+        } else if (parseFloat(analysis.keywordDensity) >= config.density.max && parseFloat(analysis.keywordDensity) > parseFloat(baseline.keywordDensity)) {
+          reason = 'Rewrite pushed keyword density too high';
+        } else if (readability !== null && baselineReadability !== null && readability < baselineReadability) {
+          reason = `Rewrite lowered readability (${baselineReadability} -> ${readability})`;
+        } else {
+          current = candidate;
+          baseline = analysis;
+        }
+      }
+
+      if (reason) {
+        report.rejected.push({ patchId: patch.id, reason });
+      } else {
+        report.rewritten.push(patch.id);
+      }
+    }
+
+    // Nothing survived: the rule-based edits stand as they were
+    report.fallback = report.rewritten.length === 0;
+    return { patches: current, report };
+  }
+
+  patchScript(script, patches) {
+    // Apply back to front so earlier offsets stay valid; ties keep their listed order
+    const ordered = patches
+      .map((patch, index) => ({ patch, index }))
+      .sort((a, b) => b.patch.offset - a.patch.offset || b.index - a.index)
+      .map(({ patch }) => patch);
+
+    let result = script;
+    let boundary = Infinity;
+    for (const patch of ordered) {
+      const end = patch.offset + (patch.length || 0);
+      if (patch.offset < 0 || end > script.length) {
+        throw new Error(`Patch ${patch.id} is outside the script`);
+      }
+      if (end > boundary) {
+        throw new Error(`Patch ${patch.id} overlaps another patch`);
+      }
+      if (patch.original !== undefined && script.slice(patch.offset, end) !== patch.original) {
+        throw new Error(`Patch ${patch.id} does not match the script at offset ${patch.offset}`);
+      }
+
+      result = result.slice(0, patch.offset) + (patch.text || '') + result.slice(end);
+      boundary = patch.offset;
+    }
+
+    return result;
+  }
+
+  pickPhrase(phrases, random = Math.random) {
+    return phrases[Math.floor(random() * phrases.length)];
+  }
+
+  // FNV-1a: numbers pass through as unsigned 32-bit, anything else is hashed
+  hashSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return Math.abs(Math.trunc(value)) >>> 0;
+    }
+
+    let hash = 0x811c9dc5;
+    for (const char of String(value)) {
+      hash ^= char.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Mulberry32: small, fast and good enough for phrase selection
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  generateStructureRecommendations(script, targetDuration, contentStyle, { language = 'en', sections = [], profile = null } = {}) {
+    const { pauses } = this;
+
+    // Time each paragraph with the pacing model, pausing between paragraphs
+    let clock = 0;
+    const paragraphs = this.getParagraphs(script)
+      .map(paragraph => ({ ...paragraph, seconds: this.estimateSpeech(paragraph.text, { language, profile }).seconds }))
+      .filter(paragraph => paragraph.seconds > 0)
+      .map((paragraph, index) => {
+        if (index > 0) clock += pauses.paragraph;
+        const startTime = clock;
+        clock += paragraph.seconds;
+        return {
+          index: index + 1,
+          start: paragraph.start,
+          end: paragraph.end,
+          startTime: this.formatTimestamp(startTime),
+          seconds: Math.round(paragraph.seconds * 10) / 10
+        };
+      });
+    const estimatedSeconds = Math.round(clock);
+    const estimated = this.formatTimestamp(estimatedSeconds);
+    const targetSeconds = targetDuration * 60;
+    const timing = { estimatedSeconds, targetSeconds, paragraphs };
+
+    const recommendations = [];
+
+    // Duration check
+    if (estimatedSeconds < targetSeconds * 0.8) {
+      recommendations.push({
+        section: 'overall',
+        issue: `Script is short (${estimated}) for ${targetDuration} min target`,
+        suggestion: 'Add more detail, examples, or sections to reach target duration',
+        ...timing
+      });
+    } else if (estimatedSeconds > targetSeconds * 1.2) {
+      const longest = [...paragraphs].sort((a, b) => b.seconds - a.seconds).slice(0, 3).sort((a, b) => a.index - b.index);
+      recommendations.push({
+        section: 'overall',
+        issue: `Script is long (${estimated}) for ${targetDuration} min target`,
+        suggestion: `Trim unnecessary content or split into multiple videos; the longest paragraphs are ${this.joinList(longest.map(paragraph => `#${paragraph.index} (${Math.round(paragraph.seconds)}s)`))}`,
+        ...timing
+      });
+    } else {
+      recommendations.push({
+        section: 'overall',
+        suggestion: `Runtime ${estimated} fits the ${targetDuration} min target`,
+        ...timing
+      });
+    }
+
+    // Structure recommendations by content style
+    const structureGuide = {
+      tutorial: ['Introduction', 'Prerequisites/Setup', 'Step-by-step instructions', 'Tips & Tricks', 'Conclusion'],
+      review: ['Introduction', 'Overview/Unboxing', 'Features', 'Pros & Cons', 'Verdict'],
+      educational: ['Hook', 'Context', 'Main concepts', 'Examples', 'Summary'],
+      entertainment: ['Hook', 'Setup', 'Main content', 'Payoff', 'Outro'],
+      vlog: ['Intro', 'Main activities', 'Highlights', 'Reflection', 'Outro']
+    };
+
+    // Sections running past their slot in scriptStructure
+    sections.forEach(section => {
+      section.flags.forEach(flag => {
+        recommendations.push({
+          section: section.name,
+          issue: flag.message,
+          suggestion: `Tighten the ${section.name}: ${this.scriptStructure[section.name].purpose.toLowerCase()}`
+        });
+      });
+    });
+
+    const style = this.resolveStyle(contentStyle, profile);
+    recommendations.push({
+      section: 'structure',
+      suggestion: `Recommended structure for ${contentStyle}:`,
+      sections: style.structure || structureGuide[style.base] || structureGuide.tutorial
+    });
+
+    return recommendations;
+  }
+
+  // Every spoken sentence with its section and when it is said
+  getTimeline(script, { language = 'en', profile = null } = {}) {
+    const { pacing } = this.resolveLanguage(language, profile).config;
+    const sections = this.parseSections(script, { language, profile });
+    const sentences = [];
+    let clock = 0;
+    sections.forEach(section => {
+      this.getSentences(section.text, section.start, language).forEach(sentence => {
+        // The beat a reader takes between paragraphs
+        const previous = sentences[sentences.length - 1];
+        const pause = previous && /\n[ \t]*\n/.test(script.slice(previous.end, sentence.start))
+          ? this.pauses.paragraph * (pacing.calibration || 1)
+          : 0;
+        clock += pause;
+        const seconds = this.estimateSpeech(sentence.text, { language, profile }).seconds;
+        sentences.push({
+          ...sentence,
+          section: section.name,
+          words: this.getWords(sentence.text),
+          pause,
+          startTime: clock,
+          endTime: clock + seconds
+        });
+        clock += seconds;
+      });
+    });
+    return { sentences, duration: clock };
+  }
+
+  analyzeRetention(script, { language = 'en', random = Math.random, windowSeconds = 20, profile = null } = {}) {
+    const { code, supported, config } = this.resolveLanguage(language, profile);
+    const addressPattern = new RegExp(config.directAddressPattern.source, 'i');
+    const timeline = this.getTimeline(script, { language: code, profile });
+    const sentences = timeline.sentences.map(sentence => ({
+      ...sentence,
+      interactive: sentence.text.includes('?') || addressPattern.test(sentence.text)
+    }));
+
+    if (sentences.length === 0) {
+      return { windows: [], duration: 0, averageRisk: 0, highRiskCount: 0, payoff: null };
+    }
+
+    // Group sentences into windows of roughly windowSeconds (15-30 seconds)
+    const target = Math.min(30, Math.max(15, windowSeconds));
+    const groups = [];
+    let group = [];
+    sentences.forEach(sentence => {
+      const span = group.length > 0 ? group[group.length - 1].endTime - group[0].startTime : 0;
+      if (span >= target || (span >= 15 && sentence.endTime - group[0].startTime > 30)) {
+        groups.push(group);
+        group = [];
+      }
+      group.push(sentence);
+    });
+    if (groups.length > 0 && group[group.length - 1].endTime - group[0].startTime < 10) {
+      groups[groups.length - 1].push(...group);
+    } else {
+      groups.push(group);
+    }
+
+    const payoff = this.findPayoff(sentences, code);
+    const stopwords = new Set(config.stopwords);
+    const seenTrigrams = new Set();
+    let lastInteraction = 0;
+
+    const windows = groups.map((windowSentences, index) => {
+      const startTime = windowSentences[0].startTime;
+      const endTime = windowSentences[windowSentences.length - 1].endTime;
+      const text = windowSentences.map(sentence => sentence.text).join(' ');
+      const words = windowSentences.flatMap(sentence => sentence.words);
+      const signals = [];
+      const passages = [];
+      const addPassage = (sentence, reason) => {
+        if (!passages.some(passage => passage.offset === sentence.start && passage.reason === reason)) {
+          passages.push({ text: sentence.text, offset: sentence.start, end: sentence.end, reason });
+        }
+      };
+
+      // Long stretch with no question or "you"
+      let quietFrom = lastInteraction;
+      let longestQuiet = 0;
+      let quietSentence = null;
+      windowSentences.forEach(sentence => {
+        if (sentence.interactive) {
+          quietFrom = sentence.endTime;
+        } else if (sentence.endTime - quietFrom > longestQuiet) {
+          longestQuiet = sentence.endTime - quietFrom;
+          quietSentence = quietSentence || sentence;
+        }
+      });
+      lastInteraction = quietFrom;
+      if (longestQuiet > 25) {
+        signals.push({
+          type: 'no_interaction',
+          score: Math.min(1, (longestQuiet - 25) / 35),
+          detail: `${Math.round(longestQuiet)} seconds without a question or direct "you" address`,
+          fix: 'Ask the viewer a question or speak to them directly.'
+        });
+        addPassage(quietSentence, 'no question or direct address');
+      }
+
+      // Dense jargon: very long words and acronyms
+      const jargonBySentence = windowSentences.map(sentence => sentence.words.filter(word =>
+        (supported && this.countSyllables(word, code) >= 4 && !stopwords.has(word.toLowerCase())) ||
+        /^[A-Z]{2,}s?$/.test(word)
+      ));
+      const jargonCount = jargonBySentence.reduce((sum, list) => sum + list.length, 0);
+      const jargonRatio = words.length > 0 ? jargonCount / words.length : 0;
+      if (jargonRatio > 0.08) {
+        signals.push({
+          type: 'jargon',
+          score: Math.min(1, (jargonRatio - 0.08) / 0.12),
+          detail: `${Math.round(jargonRatio * 100)}% of words are jargon or acronyms`,
+          fix: 'Explain or replace technical terms and acronyms.'
+        });
+        jargonBySentence.forEach((list, i) => {
+          if (list.length >= 2) addPassage(windowSentences[i], `jargon: ${[...new Set(list)].join(', ')}`);
+        });
+      }
+
+      // Hard-to-follow passage
+      const readability = this.calculateReadability(text, code);
+      if (readability.score !== null && readability.score < 50) {
+        signals.push({
+          type: 'low_readability',
+          score: Math.min(1, (50 - readability.score) / 40),
+          detail: `Readability ${readability.score} (${readability.level})`,
+          fix: 'Use shorter words and simpler phrasing here.'
+        });
+        // Point at the hardest sentences: the worst one, and the next if it also scores under 50
+        windowSentences
+          .map(sentence => ({ sentence, score: this.calculateReadability(sentence.text, code).score }))
+          .filter(item => item.score !== null)
+          .sort((a, b) => a.score - b.score)
+          .filter((item, i) => i === 0 || item.score < 50)
+          .slice(0, 2)
+          .forEach(item => addPassage(item.sentence, `readability ${item.score}`));
+      }
+
+      // Very long sentences
+      const longSentences = windowSentences.filter(sentence => sentence.words.length > 25);
+      if (longSentences.length > 0) {
+        signals.push({
+          type: 'long_sentences',
+          score: Math.min(1, longSentences.length * 0.5),
+          detail: `${longSentences.length} sentence(s) over 25 words`,
+          fix: 'Split long sentences so they are easy to say and follow.'
+        });
+        longSentences.forEach(sentence => addPassage(sentence, `${sentence.words.length}-word sentence`));
+      }
+
+      // Repeats earlier content
+      const trigramsOf = sentence => {
+        const terms = sentence.words.map(word => word.toLowerCase()).filter(word => !stopwords.has(word));
+        return terms.slice(0, -2).map((term, i) => `${term} ${terms[i + 1]} ${terms[i + 2]}`);
+      };
+      const windowTrigrams = windowSentences.map(trigramsOf);
+      const allTrigrams = windowTrigrams.flat();
+      const repeated = allTrigrams.filter(trigram => seenTrigrams.has(trigram));
+      const repetition = allTrigrams.length > 0 ? repeated.length / allTrigrams.length : 0;
+      if (repetition > 0.15) {
+        signals.push({
+          type: 'repetition',
+          score: Math.min(1, (repetition - 0.15) / 0.35),
+          detail: `${Math.round(repetition * 100)}% of phrases repeat earlier content`,
+          fix: 'Cut or compress content that was already covered.'
+        });
+        windowSentences.forEach((sentence, i) => {
+          if (windowTrigrams[i].some(trigram => seenTrigrams.has(trigram))) addPassage(sentence, 'repeats earlier content');
+        });
+      }
+      allTrigrams.forEach(trigram => seenTrigrams.add(trigram));
+
+      // Still waiting for the payoff the hook promised
+      if (payoff.late && index > 0 && startTime < payoff.time) {
+        signals.push({
+          type: 'late_payoff',
+          score: Math.min(1, endTime / payoff.time),
+          detail: `The hook's promise is not delivered until ${this.formatTimestamp(payoff.time)}`,
+          fix: 'Deliver the promised payoff sooner, or tease exactly when it is coming.'
+        });
+        if (payoff.promise && index === 1) addPassage(payoff.promise, 'promise made in the hook');
+      }
+
+      // Weighted blend of the signals, 0-100
+      const weights = { no_interaction: 0.3, jargon: 0.2, low_readability: 0.2, long_sentences: 0.2, repetition: 0.25, late_payoff: 0.25 };
+      const risk = Math.min(100, Math.round(signals.reduce((sum, signal) => sum + signal.score * weights[signal.type], 0) * 100));
+      const level = risk >= 50 ? 'high' : risk >= 25 ? 'medium' : 'low';
+
+      return {
+        startTime: Math.round(startTime),
+        endTime: Math.round(endTime),
+        range: `${this.formatTimestamp(Math.round(startTime))}-${this.formatTimestamp(Math.round(endTime))}`,
+        offset: windowSentences[0].start,
+        endOffset: windowSentences[windowSentences.length - 1].end,
+        risk,
+        level,
+        signals: signals.map(signal => ({ ...signal, score: Math.round(signal.score * 100) / 100 })),
+        passages,
+        // A pattern interrupt right before the riskiest passage
+        interrupt: level === 'low' ? null : {
+          phrase: this.pickPhrase(config.phrases.retention, random),
+          offset: Math.min(...passages.map(passage => passage.offset).filter(offset => offset >= windowSentences[0].start), windowSentences[windowSentences.length - 1].start),
+          time: Math.round(startTime)
+        }
+      };
+    });
 
     return {
-      concept,
-      contentStyle,
-      targetDuration,
-      optimizationLevel,
-      generatedAt: new Date().toISOString(),
-      original: {
-        script: script,
-        analysis: originalAnalysis
-      },
-      optimized: {
-        script: optimizedScript,
-        analysis: optimizedAnalysis
-      },
-      improvements: {
-        keywordDensityChange: (optimizedAnalysis.keywordDensity - originalAnalysis.keywordDensity).toFixed(2),
-        keywordsAdded: optimizedAnalysis.keywordsFound - originalAnalysis.keywordsFound,
-        engagementPointsAdded: optimizations.engagementPoints?.length || 0
-      },
-      optimizations: optimizations.changes,
-      structureRecommendations,
-      engagementSuggestions,
-      keywordInsertions: this.suggestKeywordInsertions(script, primaryKeywords, secondaryKeywords),
-      tips: this.getScriptTips(contentStyle),
-      warnings: this.generateWarnings(optimizedAnalysis)
+      windows,
+      duration: Math.round(timeline.duration),
+      averageRisk: Math.round(windows.reduce((sum, window) => sum + window.risk, 0) / windows.length),
+      highRiskCount: windows.filter(window => window.level === 'high').length,
+      payoff: { time: Math.round(payoff.time), late: payoff.late, promise: payoff.promise?.text || null }
     };
   }
 
-  analyzeScript(script, keywords) {
-    const words = script.split(/\s+/).filter(w => w.length > 0);
-    const sentences = script.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    const paragraphs = script.split(/\n\n+/).filter(p => p.trim().length > 0);
+  analyzeCompetitors({ script, competitors, concept, keywords, language = 'en', limit = 10 }) {
+    if (!script || !Array.isArray(competitors) || competitors.length === 0) {
+      throw new Error('Script and at least one competitor transcript are required');
+    }
 
-    // Count keyword occurrences
-    let keywordCount = 0;
-    const keywordOccurrences = {};
+    const { code, config } = this.resolveLanguage(language);
+    const { all, variants } = this.extractKeywords(keywords, concept);
+    const stopwords = new Set(config.stopwords);
 
-    keywords.forEach(keyword => {
-      const regex = new RegExp(keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
-      const matches = script.match(regex);
-      const count = matches ? matches.length : 0;
-      if (count > 0) {
-        keywordOccurrences[keyword] = count;
-        keywordCount += count;
+    // Captions become plain text; plain text is used as is
+    const documents = competitors.map((competitor, i) => {
+      const format = competitor.format || (/^﻿?WEBVTT/.test(competitor.content.trim()) ? 'vtt' : competitor.content.includes('-->') ? 'srt' : 'text');
+      const text = format === 'text' ? competitor.content.trim() : this.importTranscript({ content: competitor.content, format }).script;
+      return { name: competitor.name || `Competitor ${i + 1}`, format, text };
+    });
+
+    // Terms are runs of one to three content words inside a sentence
+    const termsOf = text => {
+      const counts = new Map();
+      const sentences = new Map();
+      this.getSentences(text, 0, code).forEach(sentence => {
+        const words = this.getWords(sentence.text).map(word => word.toLowerCase());
+        words.forEach((word, i) => {
+          for (let n = 1; n <= 3 && i + n <= words.length; n++) {
+            const gram = words.slice(i, i + n);
+            if (gram.some(part => stopwords.has(part) || part.length < 3 || /^\d+$/.test(part))) break;
+            const term = gram.join(' ');
+            counts.set(term, (counts.get(term) || 0) + 1);
+            if (!sentences.has(term)) sentences.set(term, sentence.text);
+          }
+        });
+      });
+      return { counts, sentences, length: Math.max(this.getWords(text).length, 1) };
+    };
+
+    const ours = termsOf(script);
+    const theirs = documents.map(document => ({ ...document, ...termsOf(document.text) }));
+    const docCount = theirs.length + 1;
+    const documentFrequency = term => theirs.filter(doc => doc.counts.has(term)).length + (ours.counts.has(term) ? 1 : 0);
+    const idf = term => Math.log((docCount + 1) / (documentFrequency(term) + 1)) + 1;
+    const covered = term => ours.counts.has(term) || this.countKeyword(script, term) > 0;
+
+    // Score every competitor term by TF-IDF summed across the transcripts that use it
+    const candidates = new Map();
+    theirs.forEach(doc => {
+      doc.counts.forEach((count, term) => {
+        const entry = candidates.get(term) || { term, mentions: 0, tfidf: 0, competitors: [], example: doc.sentences.get(term) };
+        entry.mentions += count;
+        entry.tfidf += (count / doc.length) * idf(term);
+        entry.competitors.push(doc.name);
+        candidates.set(term, entry);
+      });
+    });
+
+    // A gap needs more than one passing mention, or more than one competitor
+    const minShare = theirs.length > 1 ? 2 : 1;
+    const gaps = [...candidates.values()]
+      .filter(entry => !covered(entry.term) && (entry.competitors.length >= minShare || entry.mentions >= 3))
+      .map(entry => ({ ...entry, score: entry.tfidf * (entry.competitors.length / theirs.length) * (1 + (entry.term.split(' ').length - 1) * 0.5) }))
+      .sort((a, b) => b.score - a.score);
+
+    // Keep the longest phrase and drop the words it contains, and vice versa
+    const pick = (entries, max) => {
+      const chosen = [];
+      for (const entry of entries) {
+        if (chosen.length >= max) break;
+        const overlaps = chosen.some(other => ` ${other.term} `.includes(` ${entry.term} `) || ` ${entry.term} `.includes(` ${other.term} `));
+        if (!overlaps) chosen.push(entry);
       }
+      return chosen;
+    };
+    const format = entry => ({
+      term: entry.term,
+      competitors: entry.competitors,
+      share: Math.round(entry.competitors.length / theirs.length * 100) / 100,
+      mentions: entry.mentions,
+      score: Math.round(entry.score * 10000) / 10000,
+      example: entry.example
     });
 
-    // Calculate reading time (average 150 words per minute for speaking)
-    const estimatedDuration = Math.ceil(words.length / 150);
+    const topics = pick(gaps.filter(entry => entry.term.includes(' ')), limit).map(format);
+    const keywordGaps = pick(gaps.filter(entry => !entry.term.includes(' ') && !topics.some(topic => topic.term.split(' ').includes(entry.term))), limit).map(format);
 
-    // Check for engagement elements
-    const hasQuestion = /\?/.test(script);
-    const hasCallToAction = /subscribe|like|comment|share/i.test(script);
-    const hasHook = sentences[0]?.length < 100;
+    // Questions competitors ask whose content words our script never uses
+    const seenQuestions = new Set();
+    const questions = [];
+    theirs.forEach(doc => {
+      this.getSentences(doc.text, 0, code)
+        .filter(sentence => sentence.text.endsWith('?'))
+        .forEach(sentence => {
+          const terms = this.getWords(sentence.text).map(word => word.toLowerCase()).filter(word => !stopwords.has(word) && word.length > 2);
+          const signature = [...new Set(terms)].sort().join(' ');
+          if (terms.length === 0 || seenQuestions.has(signature)) return;
+          seenQuestions.add(signature);
+          const missing = terms.filter(term => !covered(term));
+          if (missing.length >= Math.ceil(terms.length / 2)) {
+            questions.push({ question: sentence.text, competitor: doc.name, missingTerms: [...new Set(missing)] });
+          }
+        });
+    });
+
+    // What only we talk about
+    const unique = pick([...ours.counts.entries()]
+      .filter(([term, count]) => count >= 2 && !theirs.some(doc => doc.counts.has(term) || this.countKeyword(doc.text, term) > 0))
+      .map(([term, count]) => ({ term, mentions: count, score: (count / ours.length) * idf(term) * (1 + (term.split(' ').length - 1) * 0.5) }))
+      .sort((a, b) => b.score - a.score), limit)
+      .map(entry => ({ term: entry.term, mentions: entry.mentions, example: ours.sentences.get(entry.term) }));
+
+    // Tracked keywords competitors lean on harder than we do
+    const trackedKeywords = all.map(keyword => {
+      const oursCount = this.countKeyword(script, keyword, { variants });
+      const counts = theirs.map(doc => this.countKeyword(doc.text, keyword, { variants }));
+      return {
+        keyword,
+        ours: oursCount,
+        competitorAverage: Math.round(counts.reduce((sum, count) => sum + count, 0) / counts.length * 10) / 10,
+        competitorsUsing: counts.filter(count => count > 0).length
+      };
+    });
 
     return {
-      wordCount: words.length,
-      sentenceCount: sentences.length,
-      paragraphCount: paragraphs.length,
-      averageSentenceLength: Math.round(words.length / sentences.length),
-      estimatedDuration: `${estimatedDuration} minutes`,
-      keywordsFound: Object.keys(keywordOccurrences).length,
-      keywordOccurrences,
-      totalKeywordMentions: keywordCount,
-      keywordDensity: ((keywordCount / words.length) * 100).toFixed(2),
-      engagementElements: {
-        hasQuestion,
-        hasCallToAction,
-        hasHook,
-        questionCount: (script.match(/\?/g) || []).length
+      competitors: theirs.map(doc => ({ name: doc.name, format: doc.format, wordCount: doc.length })),
+      gaps: {
+        topics,
+        keywords: keywordGaps,
+        questions: questions.slice(0, limit),
+        trackedKeywords: trackedKeywords.filter(entry => entry.competitorAverage > entry.ours)
       },
-      readabilityScore: this.calculateReadability(script)
+      unique,
+      keywordInsertions: this.suggestGapInsertions(script, [...topics, ...keywordGaps].slice(0, limit), theirs, { language: code, stopwords }),
+      metrics: this.compareMetrics(script, theirs.map(doc => doc.text), all, { language: code, variants })
     };
   }
 
-  calculateReadability(script) {
-    const words = script.split(/\s+/).filter(w => w.length > 0);
-    const sentences = script.split(/[.!?]+/).filter(s => s.trim().length > 0);
+  // suggestKeywordInsertions-style entries, placed in the paragraph closest to how competitors use the term
+  suggestGapInsertions(script, gaps, documents, { language = 'en', stopwords = new Set() } = {}) {
+    const contentWords = text => new Set(this.getWords(text).map(word => word.toLowerCase()).filter(word => !stopwords.has(word) && word.length > 2));
+    const paragraphs = this.parseSections(script, { language })
+      .flatMap(section => this.getParagraphs(section.text, section.start).map(paragraph => ({ ...paragraph, section: section.name })));
 
-    const avgWordsPerSentence = words.length / sentences.length;
-    const avgSyllables = words.reduce((sum, word) => sum + this.countSyllables(word), 0) / words.length;
-
-    // Simplified Flesch-Kincaid
-    const score = 206.835 - (1.015 * avgWordsPerSentence) - (84.6 * avgSyllables);
+    return gaps.map(gap => {
+      // Words that surround the term in competitor transcripts
+      const context = new Set();
+      documents.forEach(doc => {
+        this.getSentences(doc.text, 0, language)
+          .filter(sentence => this.countKeyword(sentence.text, gap.term) > 0)
+          .forEach(sentence => contentWords(sentence.text).forEach(word => context.add(word)));
+      });
+      gap.term.split(' ').forEach(word => context.delete(word));
 
-    let level;
-    if (score >= 80) level = 'very easy';
-    else if (score >= 60) level = 'easy';
-    else if (score >= 40) level = 'moderate';
-    else if (score >= 20) level = 'difficult';
-    else level = 'very difficult';
+      // Sharing part of the term ("oven" for "dutch oven") counts double
+      const termWords = gap.term.split(' ');
+      const best = paragraphs
+        .map(paragraph => {
+          const words = [...contentWords(paragraph.text)];
+          const overlap = words.filter(word => context.has(word) || termWords.includes(word));
+          return { paragraph, overlap, score: overlap.length + words.filter(word => termWords.includes(word)).length };
+        })
+        .sort((a, b) => b.score - a.score)[0];
+      const located = best && best.score > 0;
 
-    return { score: Math.round(score), level };
+      return {
+        keyword: gap.term,
+        currentCount: 0,
+        recommendedCount: gap.term.includes(' ') ? '1-2' : '2-3',
+        locations: located
+          ? [`${best.paragraph.section} paragraph: "${best.paragraph.text.slice(0, 60).trim()}${best.paragraph.text.length > 60 ? '...' : ''}"`]
+          : ['Body content'],
+        offset: located ? best.paragraph.start : null,
+        relatedWords: located ? best.overlap.slice(0, 5) : []
+      };
+    });
   }
 
-  countSyllables(word) {
-    word = word.toLowerCase().replace(/[^a-z]/g, '');
-    if (word.length <= 3) return 1;
-
-    const vowels = 'aeiouy';
-    let count = 0;
-    let prevWasVowel = false;
+  compareMetrics(script, texts, keywords, { language = 'en', variants = {} } = {}) {
+    const metricsOf = text => {
+      const analysis = this.analyzeScript(text, keywords, { language, variants });
+      return {
+        wordCount: analysis.wordCount,
+        estimatedSeconds: analysis.estimatedSeconds,
+        readability: analysis.readabilityScore.score,
+        averageSentenceLength: analysis.averageSentenceLength,
+        questionCount: analysis.engagementElements.questionCount,
+        keywordDensity: parseFloat(analysis.keywordDensity) || 0
+      };
+    };
 
-    for (const char of word) {
-      const isVowel = vowels.includes(char);
-      if (isVowel && !prevWasVowel) count++;
-      prevWasVowel = isVowel;
-    }
+    const ours = metricsOf(script);
+    const theirs = texts.map(metricsOf);
+    const competitorAverage = {};
+    const difference = {};
+    Object.keys(ours).forEach(key => {
+      const values = theirs.map(metrics => metrics[key]).filter(value => value !== null && !Number.isNaN(value));
+      competitorAverage[key] = values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10 : null;
+      difference[key] = ours[key] === null || competitorAverage[key] === null ? null : Math.round((ours[key] - competitorAverage[key]) * 10) / 10;
+    });
 
-    // Adjust for silent e
-    if (word.endsWith('e')) count--;
-    return Math.max(1, count);
+    return { ours, competitorAverage, difference };
   }
 
-  generateOptimizations(script, keywords, contentStyle, level) {
-    const changes = [];
-    const engagementPoints = [];
+  // When does the script start delivering what the hook promised?
+  findPayoff(sentences, language) {
+    const { config } = this.resolveLanguage(language);
+    const stopwords = new Set(config.stopwords);
+    const duration = sentences[sentences.length - 1].endTime;
+    const hook = sentences.filter(sentence => sentence.section === 'hook');
+    const opening = hook.length > 0 ? hook : sentences.slice(0, 1);
+    const hookEnd = opening[opening.length - 1].endTime;
 
-    // Determine how aggressive to be
-    const intensity = { light: 1, moderate: 2, aggressive: 3 }[level] || 2;
+    const promise = opening.find(sentence => /\?|learn|show you|how to|secret|by the end|discover|here's|mistake|reveal/i.test(sentence.text)) || opening[0];
+    const terms = [...new Set(this.getWords(promise.text)
+      .map(word => word.toLowerCase())
+      .filter(word => word.length > 3 && !stopwords.has(word)))];
 
-    // Check for keyword opportunities in first paragraph
-    const firstParagraph = script.split(/\n\n/)[0] || '';
-    const primaryKeyword = keywords[0];
+    // First sentence after the hook that starts a step or covers most of the promised terms
+    const delivery = sentences.find(sentence => {
+      if (sentence.startTime < hookEnd) return false;
+      if (config.stepPattern.test(sentence.text.split(/\s+/)[0] || '')) return true;
+      const text = sentence.text.toLowerCase();
+      const covered = terms.filter(term => text.includes(term)).length;
+      return terms.length > 0 && covered >= Math.ceil(terms.length / 2);
+    });
 
-    if (primaryKeyword && !firstParagraph.toLowerCase().includes(primaryKeyword.toLowerCase())) {
-      changes.push({
-        type: 'keyword_insertion',
-        location: 'opening',
-        suggestion: `Add "${primaryKeyword}" to your opening to improve SEO`,
-        priority: 'high'
-      });
-    }
+    const time = delivery ? delivery.startTime : duration;
+    return {
+      time,
+      late: time > Math.max(45, duration * 0.25),
+      promise,
+      delivery: delivery || null
+    };
+  }
 
-    // Check for engagement opportunities
-    if (!script.includes('?')) {
-      changes.push({
-        type: 'engagement',
-        location: 'throughout',
-        suggestion: 'Add questions to increase viewer engagement',
-        priority: 'medium'
+  // Sentences that ask for a subscribe, like, comment, share or the bell. A call that only
+  // repeats kinds already asked for is a duplicate.
+  findCallsToAction(sentences, config) {
+    const asked = new Set();
+    return sentences
+      .map(sentence => ({ sentence, kinds: Object.keys(config.ctaKinds).filter(kind => config.ctaKinds[kind].test(sentence.text)) }))
+      .filter(({ kinds }) => kinds.length > 0)
+      .map(({ sentence, kinds }) => {
+        const duplicate = kinds.every(kind => asked.has(kind));
+        kinds.forEach(kind => asked.add(kind));
+        return {
+          kinds,
+          text: sentence.text,
+          offset: sentence.start,
+          length: sentence.end - sentence.start,
+          time: sentence.startTime ?? null,
+          duplicate
+        };
       });
-      engagementPoints.push({ type: 'question', suggested: true });
+  }
+
+  // Where calls to action go on the timeline: a soft subscribe after the first value delivery,
+  // a comment prompt on a real question, a closing CTA and the end-screen and card cues.
+  // Offsets are against the original script, in the order the edits should be applied.
+  planCallsToAction(script, { language = 'en', profile = null, primaryKeyword = null } = {}) {
+    const { code, config } = this.resolveLanguage(language, profile);
+    const { templates } = config;
+    const { sentences } = this.getTimeline(script, { language: code, profile });
+    // Asks inside a sponsor read are the sponsor's, and nothing is placed inside one
+    const sponsorSegments = this.findSponsorSegments(script);
+    const inRead = sentence => sponsorSegments.some(segment => sentence.start >= segment.start && sentence.end <= segment.end);
+    const calls = this.findCallsToAction(sentences.filter(sentence => !inRead(sentence)), config);
+    const stamp = time => ({ time: Math.round(time), timestamp: this.formatTimestamp(Math.round(time)) });
+    const existing = calls.map(call => ({ ...call, ...stamp(call.time), removed: false }));
+
+    if (sentences.length === 0) {
+      return { duration: 0, existing, removals: [], suggestions: [], placements: [] };
     }
 
-    // Check for call to action
-    if (!/subscribe|like|comment/i.test(script)) {
-      changes.push({
-        type: 'cta',
-        location: 'middle and end',
-        suggestion: 'Add calls to action (subscribe, like, comment)',
-        priority: 'high'
+    // Cut calls that only repeat an earlier ask. A sentence that mentions one without being a short
+    // ask ("the bell icon is in the top corner") carries content, so it is only suggested.
+    const removals = [];
+    const suggestions = [];
+    existing.forEach(call => {
+      if (!call.duplicate) return;
+      if (this.getWords(call.text).length > 15 || !config.ctaAsk.test(call.text)) {
+        suggestions.push({
+          rule: 'cta_duplicate',
+          kinds: call.kinds,
+          offset: call.offset,
+          length: call.length,
+          text: call.text,
+          time: call.time,
+          timestamp: call.timestamp,
+          reason: `Repeats an earlier ${this.joinList(call.kinds)} call to action; trim it if it says nothing else`
+        });
+        return;
+      }
+      const end = call.offset + call.length;
+      const lead = script.slice(0, call.offset).match(/\s*$/)[0];
+      const tail = script.slice(end).match(/^\s*/)[0];
+      // Take the space after it, or the break before it when it ends a paragraph or the script
+      const after = end + tail.length < script.length && (!tail.includes('\n') || lead.includes('\n') || lead.length === call.offset);
+      const offset = after ? call.offset : call.offset - lead.length;
+      const length = after ? call.length + tail.length : call.length + lead.length;
+      removals.push({
+        rule: 'cta_duplicate',
+        kinds: call.kinds,
+        offset,
+        length,
+        original: script.slice(offset, offset + length),
+        time: call.time,
+        timestamp: call.timestamp,
+        reason: `Repeats an earlier ${this.joinList(call.kinds)} call to action`
       });
-    }
+      call.removed = true;
+    });
 
-    // Check keyword density
-    const words = script.split(/\s+/).length;
-    const keywordMentions = keywords.reduce((count, kw) => {
-      const regex = new RegExp(kw, 'gi');
-      return count + (script.match(regex) || []).length;
-    }, 0);
-    const density = (keywordMentions / words) * 100;
+    const kept = calls.filter((call, i) => !existing[i].removed);
+    const spoken = sentences.filter(sentence => !existing.some(call => call.removed && call.offset === sentence.start));
+    const final = spoken[spoken.length - 1];
+    const asked = new Set(calls.flatMap(call => call.kinds));
+    const placements = [];
+    const crowded = time => [...kept, ...placements].some(other => Math.abs(other.time - time) < this.minCtaGapSeconds);
+    const place = (kind, rule, offset, length, text, time, anchor, reason) => {
+      placements.push({ kind, rule, time, offset, length, text, cue: null, anchor, reason });
+    };
 
-    if (density < 1 && intensity >= 2) {
-      changes.push({
-        type: 'keyword_density',
-        location: 'throughout',
-        suggestion: `Keyword density is ${density.toFixed(2)}%. Aim for 1-2%`,
-        priority: 'medium'
-      });
+    // Soft subscribe at the end of the paragraph that first delivers on the hook
+    const { delivery } = this.findPayoff(spoken, code);
+    if (!asked.has('subscribe') && delivery) {
+      const paragraph = this.getParagraphs(script).find(item => item.start <= delivery.start && delivery.start < item.end);
+      const anchor = spoken.filter(sentence => sentence.start >= paragraph.start && sentence.end <= paragraph.end).pop() || delivery;
+      if (anchor !== final && !inRead(anchor) && !crowded(anchor.endTime)) {
+        place('subscribe', 'soft_subscribe', anchor.end, 0, ` ${templates.softSubscribe}`, anchor.endTime, anchor.text,
+          'Soft subscribe right after the first value delivery');
+      }
     }
 
-    // Check for hook
-    const firstSentence = script.split(/[.!?]/)[0];
-    if (firstSentence && firstSentence.length > 150) {
-      changes.push({
-        type: 'hook',
-        location: 'opening',
-        suggestion: 'Shorten your opening hook - aim for under 150 characters',
-        priority: 'high'
-      });
+    // Comment prompt on a question the script already asks, preferably one put to the viewer
+    if (!asked.has('comment')) {
+      const addressPattern = new RegExp(config.directAddressPattern.source, 'i');
+      const questions = spoken.filter(sentence =>
+        sentence.section !== 'hook' && sentence !== final && !inRead(sentence) && sentence.text.includes('?') && !crowded(sentence.endTime));
+      const question = questions.find(sentence => addressPattern.test(sentence.text)) || questions[0];
+      if (question) {
+        place('comment', 'comment_prompt', question.end, 0, ` ${templates.commentPrompt}`, question.endTime, question.text,
+          'Comment prompt tied to a question the script asks');
+      } else if (!script.includes('?')) {
+        const middle = spoken.find(sentence => sentence !== final && !inRead(sentence) && sentence.endTime >= final.endTime / 2);
+        if (middle) {
+          const whitespace = script.slice(middle.end).match(/^\s*/)[0].length;
+          const trailing = middle.end + whitespace < script.length ? '\n\n' : '';
+          const question = templates.question.replace('{keyword}', () => primaryKeyword || templates.fallbackTopic);
+          place('comment', 'engagement_question', middle.end, whitespace, `\n\n${question}${trailing}`, middle.endTime, middle.text,
+            'The script asks no questions, so one goes at the midpoint');
+        }
+      }
     }
 
-    // Style-specific recommendations
-    if (contentStyle === 'tutorial' && !/step|first|next|then|finally/i.test(script)) {
-      changes.push({
-        type: 'structure',
-        location: 'throughout',
-        suggestion: 'Add step markers (First, Next, Then, Finally) for tutorials',
-        priority: 'medium'
-      });
+    // Closing CTA unless the script already ends on one
+    const closing = this.scriptStructure.cta.length[1];
+    if (!kept.some(call => call.time >= final.endTime - closing)) {
+      const subscribed = asked.has('subscribe') || placements.some(placement => placement.kind === 'subscribe');
+      place('end_cta', 'cta', script.length, 0, `\n\n${subscribed ? templates.endCta : templates.cta}`, final.endTime, final.text,
+        `No call to action in the last ${closing} seconds`);
     }
 
-    return { changes, engagementPoints };
-  }
-
-  applyOptimizations(script, optimizations, primaryKeywords, contentStyle) {
-    let optimizedScript = script;
-    const primaryKeyword = primaryKeywords[0];
-
-    // Add hook if missing (prepend to script)
-    const hookPhrases = this.engagementPhrases.hook;
-    const sentences = script.split(/(?<=[.!?])\s+/);
-
-    if (sentences[0]?.length > 150 && primaryKeyword) {
-      const hook = `${hookPhrases[Math.floor(Math.random() * hookPhrases.length)]} ${primaryKeyword}. `;
-      optimizedScript = hook + optimizedScript;
+    if (config.signOff && !script.toLowerCase().includes(config.signOff.toLowerCase())) {
+      place('sign_off', 'sign_off', script.length, 0, `\n\n${config.signOff}`, final.endTime, final.text, 'Channel sign-off');
     }
 
-    // Add keyword to first paragraph if missing
-    const paragraphs = optimizedScript.split(/\n\n/);
-    if (primaryKeyword && paragraphs[0] && !paragraphs[0].toLowerCase().includes(primaryKeyword.toLowerCase())) {
-      const firstParagraphSentences = paragraphs[0].split(/(?<=[.!?])\s+/);
-      if (firstParagraphSentences.length > 1) {
-        firstParagraphSentences[1] = `When it comes to ${primaryKeyword}, ` + firstParagraphSentences[1].charAt(0).toLowerCase() + firstParagraphSentences[1].slice(1);
-        paragraphs[0] = firstParagraphSentences.join(' ');
-        optimizedScript = paragraphs.join('\n\n');
-      }
-    }
+    // Lay the inserts into the spoken sentences to time the finished video
+    const layout = () => {
+      const sequence = [
+        ...spoken.map(sentence => ({
+          offset: sentence.end,
+          pause: sentence.pause,
+          seconds: sentence.endTime - sentence.startTime,
+          text: sentence.text,
+          sponsored: inRead(sentence)
+        })),
+        ...placements.map(placement => ({
+          offset: placement.offset,
+          pause: placement.text.startsWith('\n\n') ? this.pauses.paragraph * (config.pacing.calibration || 1) : 0,
+          seconds: this.estimateSpeech(placement.text, { language: code, profile }).seconds,
+          text: placement.text.trim(),
+          placement
+        }))
+      ].sort((a, b) => a.offset - b.offset || (a.placement ? 1 : 0) - (b.placement ? 1 : 0));
+      let clock = 0;
+      sequence.forEach(unit => {
+        clock += unit.pause;
+        unit.startTime = clock;
+        clock += unit.seconds;
+        unit.endTime = clock;
+        if (unit.placement) unit.placement.time = unit.startTime;
+      });
 
-    // Add engagement question if none exists
-    if (!optimizedScript.includes('?')) {
-      const midPoint = Math.floor(optimizedScript.length / 2);
-      const insertPoint = optimizedScript.indexOf('.', midPoint);
-      if (insertPoint !== -1) {
-        const question = `\n\nWhat do you think about ${primaryKeyword || 'this'}? Let me know in the comments.\n\n`;
-        optimizedScript = optimizedScript.slice(0, insertPoint + 1) + question + optimizedScript.slice(insertPoint + 1);
+      // End screen from the first sentence break inside the last 5-20 seconds; YouTube hides cards
+      // while it shows, so the card cue goes one sentence earlier. End screens need 25 seconds.
+      // Cues are notes for the editor: they are timed against the script but not written into it.
+      const cues = new Map();
+      const [minEnd, maxEnd] = this.endScreenWindow;
+      const breaks = sequence.slice(0, -1)
+        .map((unit, i) => ({ index: i, remaining: clock - unit.endTime }))
+        .filter(item => !sequence[item.index].sponsored && !sequence[item.index].placement?.length);
+      const endScreen = breaks.find(item => item.remaining <= maxEnd && item.remaining >= minEnd) ||
+        breaks.filter(item => item.remaining >= minEnd).pop();
+      if (endScreen && clock >= 25) {
+        const cue = (kind, index, reason) => {
+          const unit = sequence[index];
+          cues.set(index, {
+            kind,
+            rule: kind,
+            time: unit.endTime,
+            offset: unit.placement ? unit.placement.offset : unit.offset,
+            length: 0,
+            text: null,
+            cue: this.editorCues[kind === 'end_screen' ? 'endScreen' : kind],
+            anchor: unit.text,
+            reason
+          });
+        };
+        if (endScreen.index > 0) {
+          cue('card', endScreen.index - 1, 'Cards are hidden while the end screen shows, so point to the related video just before it');
+        }
+        cue('end_screen', endScreen.index, `End screen over the last ${Math.round(endScreen.remaining)} seconds`);
       }
-    }
+      return { sequence, clock, cues };
+    };
 
-    // Add CTA if missing
-    if (!/subscribe|like|comment/i.test(optimizedScript)) {
-      optimizedScript += '\n\nIf you found this helpful, don\'t forget to like this video and subscribe for more content like this!';
+    // A mid-video ask that lands next to the card or end screen is dropped, and the rest re-timed
+    let timed = layout();
+    const nearCue = () => placements.find(placement => ['subscribe', 'comment'].includes(placement.kind) &&
+      [...timed.cues.values()].some(cue => Math.abs(cue.time - placement.time) < this.minCtaGapSeconds));
+    for (let dropped = nearCue(); dropped; dropped = nearCue()) {
+      placements.splice(placements.indexOf(dropped), 1);
+      const closingCta = placements.find(placement => placement.kind === 'end_cta');
+      if (dropped.kind === 'subscribe' && closingCta && !asked.has('subscribe')) {
+        closingCta.text = `\n\n${templates.cta}`;
+      }
+      timed = layout();
     }
 
-    return optimizedScript;
+    const { sequence, clock, cues } = timed;
+    const ordered = sequence.flatMap((unit, i) => [unit.placement, cues.get(i)].filter(Boolean));
+    return {
+      duration: Math.round(clock),
+      existing,
+      removals,
+      suggestions,
+      placements: ordered.map(placement => ({ ...placement, ...stamp(placement.time) }))
+    };
   }
 
-  generateStructureRecommendations(script, targetDuration, contentStyle) {
-    const words = script.split(/\s+/).length;
-    const estimatedMinutes = Math.ceil(words / 150);
-
-    const recommendations = [];
-
-    // Duration check
-    if (estimatedMinutes < targetDuration * 0.8) {
-      recommendations.push({
-        section: 'overall',
-        issue: `Script is short (${estimatedMinutes} min) for ${targetDuration} min target`,
-        suggestion: 'Add more detail, examples, or sections to reach target duration'
-      });
-    } else if (estimatedMinutes > targetDuration * 1.2) {
-      recommendations.push({
-        section: 'overall',
-        issue: `Script is long (${estimatedMinutes} min) for ${targetDuration} min target`,
-        suggestion: 'Trim unnecessary content or split into multiple videos'
-      });
+  // Builds a sponsor read from talking points and ranks paragraph breaks to put it at: after the
+  // hook, not right before the payoff or the close, and where retention risk is low
+  planSponsorRead({ script, sponsor, talkingPoints, concept, keywords, language = 'en', profile: profileId, count = 3, seed }) {
+    if (!script || !sponsor || !Array.isArray(talkingPoints) || talkingPoints.length === 0) {
+      throw new Error('Script, sponsor and at least one talking point are required');
     }
 
-    // Structure recommendations by content style
-    const structureGuide = {
-      tutorial: ['Introduction', 'Prerequisites/Setup', 'Step-by-step instructions', 'Tips & Tricks', 'Conclusion'],
-      review: ['Introduction', 'Overview/Unboxing', 'Features', 'Pros & Cons', 'Verdict'],
-      educational: ['Hook', 'Context', 'Main concepts', 'Examples', 'Summary'],
-      entertainment: ['Hook', 'Setup', 'Main content', 'Payoff', 'Outro'],
-      vlog: ['Intro', 'Main activities', 'Highlights', 'Reflection', 'Outro']
+    const profile = this.resolveProfile(profileId);
+    const { code, config } = this.resolveLanguage(language, profile);
+    const { templates, rewrite } = config;
+    const random = this.createRandom(this.hashSeed(seed ?? script));
+    const { all, variants } = this.extractKeywords(keywords, concept);
+    // A function replacer, so "$" in a sponsor name is inserted as written
+    const fill = template => template.replace('{sponsor}', () => sponsor);
+
+    // In: a transition onto the sponsor and the disclosure. Out: thanks, then back to the next topic.
+    const objectPhrases = config.phrases.transition.filter(phrase => rewrite.objectLinks.includes(phrase.split(/\s+/).pop().toLowerCase()));
+    const standalonePhrases = config.phrases.transition.filter(phrase => !objectPhrases.includes(phrase));
+    const transitionIn = objectPhrases.length > 0
+      ? `${this.pickPhrase(objectPhrases, random)} ${fill(templates.sponsorTopic)}. ${fill(templates.sponsorDisclosure)}`
+      : fill(templates.sponsorDisclosure);
+    const points = talkingPoints
+      .map(point => point.trim())
+      .filter(Boolean)
+      .map(point => /[.!?…]["'»”)]*$/.test(point) ? point : `${point}.`);
+    const transitionOut = next => {
+      const keyword = next && all.find(kw => this.countKeyword(next.text, kw, { variants }) > 0);
+      const bridge = keyword && objectPhrases.length > 0
+        ? `${this.pickPhrase(objectPhrases, random)} ${keyword}.`
+        : standalonePhrases.length > 0 ? `${this.pickPhrase(standalonePhrases, random)}.` : '';
+      return `${fill(templates.sponsorReturn)} ${bridge}`.trim();
     };
+    const block = out => `[SPONSOR: ${sponsor}]\n${transitionIn} ${points.join(' ')}\n${out}\n[/SPONSOR]`;
 
-    recommendations.push({
-      section: 'structure',
-      suggestion: `Recommended structure for ${contentStyle}:`,
-      sections: structureGuide[contentStyle] || structureGuide.tutorial
-    });
+    const existing = this.findSponsorSegments(script);
+    const retention = this.analyzeRetention(script, { language: code, profile, random });
+    const { sentences, duration } = this.getTimeline(script, { language: code, profile });
+    const paragraphs = this.getParagraphs(script);
+    const hookEnd = Math.max(0, ...sentences.filter(sentence => sentence.section === 'hook').map(sentence => sentence.end));
+    const delivery = sentences.length > 0 ? this.findPayoff(sentences, code).delivery : null;
+    const touches = (offset, segment) => offset >= segment.start && offset <= segment.end;
+    const windowAt = offset => retention.windows.find(window => offset >= window.offset && offset <= window.endOffset);
 
-    return recommendations;
+    const placements = paragraphs
+      .map((paragraph, i) => ({ paragraph, previous: paragraphs[i - 1], i }))
+      .filter(({ paragraph, previous, i }) =>
+        i > 0 && i < paragraphs.length - 1 &&
+        paragraph.start >= hookEnd &&
+        !(delivery && delivery.start >= paragraph.start && delivery.start < paragraph.end) &&
+        !existing.some(segment => touches(paragraph.start, segment) || touches(previous.end, segment)))
+      .map(({ paragraph, previous }) => {
+        const next = sentences.find(sentence => sentence.start >= paragraph.start);
+        const time = next ? next.startTime - next.pause : duration;
+        // The read interrupts the windows on both sides of the break
+        const around = [windowAt(previous.end), windowAt(paragraph.start)].filter(Boolean);
+        const risk = around.length > 0 ? Math.round(around.reduce((sum, window) => sum + window.risk, 0) / around.length) : 0;
+        const afterPayoff = delivery && delivery.start < paragraph.start;
+        return {
+          offset: paragraph.start,
+          time: Math.round(time),
+          timestamp: this.formatTimestamp(Math.round(time)),
+          risk,
+          level: risk >= 50 ? 'high' : risk >= 25 ? 'medium' : 'low',
+          before: previous.text,
+          after: paragraph.text,
+          transitionOut: transitionOut(paragraph),
+          reason: `Retention risk ${risk} around ${this.formatTimestamp(Math.round(time))}${afterPayoff ? ', after the payoff' : ''}`,
+          // Earlier reads reach more viewers, so close calls go to the earlier break
+          score: risk + 20 * (time / Math.max(duration, 1))
+        };
+      })
+      .sort((a, b) => a.score - b.score)
+      .slice(0, count)
+      .map(({ score, ...placement }) => placement);
+
+    const best = placements[0];
+    const text = block(best ? best.transitionOut : transitionOut(null));
+    return {
+      sponsor,
+      read: {
+        text,
+        transitionIn,
+        transitionOut: best ? best.transitionOut : transitionOut(null),
+        estimatedSeconds: Math.round(this.estimateSpeech(text, { language: code, profile }).seconds)
+      },
+      placements,
+      existing,
+      warnings: this.lintScript(text).findings,
+      script: best ? `${script.slice(0, best.offset)}${text}\n\n${script.slice(best.offset)}` : script
+    };
   }
 
-  generateEngagementSuggestions(script, contentStyle) {
+  generateEngagementSuggestions(script, contentStyle, { language = 'en', retention = null, profile = null } = {}) {
+    const { phrases } = this.resolveLanguage(language, profile).config;
     const suggestions = [];
 
-    // Retention hooks
-    suggestions.push({
-      type: 'retention',
-      timing: '30 seconds in',
-      suggestion: 'Add a pattern interrupt or tease what\'s coming ("Stay until the end for...")',
-      examples: this.engagementPhrases.retention.slice(0, 2)
+    // Retention hooks where the heatmap says viewers are most likely to leave
+    const risky = (retention?.windows || [])
+      .filter(window => window.level !== 'low')
+      .sort((a, b) => b.risk - a.risk)
+      .slice(0, 3)
+      .sort((a, b) => a.startTime - b.startTime);
+
+    risky.forEach(window => {
+      suggestions.push({
+        type: 'retention',
+        timing: `at ${window.range}`,
+        suggestion: window.signals.map(signal => signal.fix).join(' '),
+        examples: window.interrupt ? [window.interrupt.phrase] : phrases.retention.slice(0, 2)
+      });
     });
 
+    if (risky.length === 0) {
+      suggestions.push({
+        type: 'retention',
+        timing: '30 seconds in',
+        suggestion: 'Add a pattern interrupt or tease what\'s coming ("Stay until the end for...")',
+        examples: phrases.retention.slice(0, 2)
+      });
+    }
+
     // Mid-roll engagement
     suggestions.push({
       type: 'engagement',
       timing: 'middle of video',
       suggestion: 'Ask a question or request interaction',
-      examples: this.engagementPhrases.engagement.slice(0, 2)
+      examples: phrases.engagement
+        .filter(phrase => !this.lintScript(phrase).findings.some(finding => finding.type === 'engagement_bait'))
+        .slice(0, 2)
     });
 
     // Transition phrases
@@ -558,7 +5760,7 @@ class YTScriptOptimizer {
       type: 'transitions',
       timing: 'between sections',
       suggestion: 'Use clear transition phrases to maintain flow',
-      examples: this.engagementPhrases.transition.slice(0, 2)
+      examples: phrases.transition.slice(0, 2)
     });
 
     // Hook suggestions
@@ -566,20 +5768,18 @@ class YTScriptOptimizer {
       type: 'hook',
       timing: 'first 15 seconds',
       suggestion: 'Start with a strong hook that creates curiosity',
-      examples: this.engagementPhrases.hook.slice(0, 2)
+      examples: phrases.hook.slice(0, 2)
     });
 
     return suggestions;
   }
 
-  suggestKeywordInsertions(script, primaryKeywords, secondaryKeywords) {
+  suggestKeywordInsertions(script, primaryKeywords, secondaryKeywords, { variants = {} } = {}) {
     const suggestions = [];
-    const sentences = script.split(/(?<=[.!?])\s+/);
 
     // Suggest primary keyword insertions
     primaryKeywords.forEach(keyword => {
-      const regex = new RegExp(keyword, 'gi');
-      const count = (script.match(regex) || []).length;
+      const count = this.countKeyword(script, keyword, { variants });
 
       if (count < 3) {
         suggestions.push({
@@ -597,8 +5797,7 @@ class YTScriptOptimizer {
 
     // Suggest secondary keyword insertions
     secondaryKeywords.slice(0, 3).forEach(keyword => {
-      const regex = new RegExp(keyword, 'gi');
-      const count = (script.match(regex) || []).length;
+      const count = this.countKeyword(script, keyword, { variants });
 
       if (count < 1) {
         suggestions.push({
@@ -613,7 +5812,7 @@ class YTScriptOptimizer {
     return suggestions;
   }
 
-  getScriptTips(contentStyle) {
+  getScriptTips(contentStyle, { profile = null } = {}) {
     const commonTips = [
       'Speak naturally - keyword stuffing sounds robotic',
       'Use keywords in questions to sound more natural',
@@ -640,13 +5839,15 @@ class YTScriptOptimizer {
       ]
     };
 
-    return [...commonTips, ...(styleTips[contentStyle] || [])];
+    const style = this.resolveStyle(contentStyle, profile);
+    return [...commonTips, ...(styleTips[style.base] || []), ...(style.tips || []), ...(profile?.tips || [])];
   }
 
-  generateWarnings(analysis) {
+  generateWarnings(analysis, { script = '', language = 'en', profile = null } = {}) {
+    const { config } = this.resolveLanguage(language, profile);
     const warnings = [];
 
-    if (parseFloat(analysis.keywordDensity) > 3) {
+    if (parseFloat(analysis.keywordDensity) > config.density.max) {
       warnings.push({
         type: 'keyword_stuffing',
         message: `Keyword density (${analysis.keywordDensity}%) is too high - may sound unnatural`
@@ -667,21 +5868,194 @@ class YTScriptOptimizer {
       });
     }
 
+    // Phrases the channel has ruled out
+    config.bannedPhrases.forEach(phrase => {
+      const index = script.toLowerCase().indexOf(phrase.toLowerCase());
+      if (index !== -1) {
+        warnings.push({
+          type: 'banned_phrase',
+          message: `"${script.slice(index, index + phrase.length)}" is on the channel's banned list`,
+          offset: index
+        });
+      }
+    });
+
     return warnings;
   }
+
+  // Rule-based claims, compliance and brand-safety pass. Offsets point into the script;
+  // findings in inserted patch text carry the patch ID and its insertion offset.
+  lintScript(script, { patches = [] } = {}) {
+    const rules = this.lintRules;
+    const findings = [];
+    const reported = [];
+    const matches = (text, pattern) => [...text.matchAll(pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`))];
+
+    const scan = (text, locate) => {
+      rules.claims.forEach(({ category, severity, pattern, suggestion }) => {
+        matches(text, pattern).forEach(match => findings.push({
+          type: 'absolute_claim',
+          category,
+          severity,
+          message: `"${match[0]}" is an absolute claim (${category}) that may break advertiser-friendly and misinformation policies`,
+          ...locate(match),
+          suggestion: `Soften it, e.g. "${suggestion}"`
+        }));
+      });
+
+      rules.profanity.forEach(({ severity, pattern }) => {
+        matches(text, pattern).forEach(match => findings.push({
+          type: 'profanity',
+          severity,
+          message: `"${match[0]}" limits ads, especially in the first 7 seconds or when repeated`,
+          ...locate(match),
+          suggestion: 'Bleep it or use a milder word'
+        }));
+      });
+
+      matches(text, rules.advertiserUnfriendly.pattern).forEach(match => {
+        const term = Object.keys(rules.advertiserUnfriendly.suggestions).find(key => match[0].toLowerCase().startsWith(key));
+        findings.push({
+          type: 'advertiser_unfriendly',
+          severity: 'warning',
+          message: `"${match[0]}" is a sensitive topic that may get limited ads`,
+          ...locate(match),
+          suggestion: term
+            ? `Say "${rules.advertiserUnfriendly.suggestions[term]}" and keep the topic non-graphic`
+            : 'Keep the topic non-graphic and out of the opening'
+        });
+      });
+
+      rules.engagementBait.forEach(pattern => {
+        matches(text, pattern).forEach(match => {
+          const location = locate(match);
+          // Overlapping bait patterns report the phrase once
+          const end = match.index + match[0].length;
+          if (reported.some(span => span.patchId === location.patchId && match.index < span.end && end > span.start)) return;
+          reported.push({ patchId: location.patchId, start: match.index, end });
+          findings.push({
+            type: 'engagement_bait',
+            severity: 'warning',
+            message: `"${match[0]}" trades likes or comments for a condition or a prize, which YouTube treats as engagement bait`,
+            ...location,
+            suggestion: rules.engagementSuggestion
+          });
+        });
+      });
+    };
+
+    scan(script, match => ({ offset: match.index, length: match[0].length, text: match[0] }));
+
+    // What our own optimizations insert gets the same scrutiny
+    patches.forEach(patch => {
+      scan(patch.text, match => ({ offset: patch.offset, length: patch.length, text: match[0], patchId: patch.id }));
+    });
+
+    // A sponsor pitch needs a disclosure before it
+    const cues = matches(script, rules.sponsorCues);
+    if (cues.length > 0) {
+      const disclosure = script.search(rules.disclosure);
+      if (disclosure === -1 || disclosure > cues[0].index) {
+        findings.push({
+          type: 'sponsorship_disclosure',
+          severity: 'error',
+          message: disclosure === -1
+            ? `"${cues[0][0]}" reads as sponsored content but the script has no disclosure`
+            : `The sponsorship disclosure comes after the pitch ("${cues[0][0]}")`,
+          offset: cues[0].index,
+          length: cues[0][0].length,
+          text: cues[0][0],
+          suggestion: 'Disclose before the pitch, e.g. "This video is sponsored by <brand>.", and tick "paid promotion" when uploading'
+        });
+      }
+    }
+
+    findings.sort((a, b) => a.offset - b.offset);
+    const counts = { error: 0, warning: 0, info: 0 };
+    findings.forEach(finding => { counts[finding.severity]++; });
+
+    return { findings, counts, passed: counts.error === 0 };
+  }
+
+  // Sponsor reads, marked by the writer ([SPONSOR: Brand] ... [/SPONSOR]) or detected from
+  // disclosures and pitch cues. Runs of detected paragraphs merge, bridging one paragraph between.
+  // A read starts from a paragraph with an explicit disclosure, or a looser one ("partnered with",
+  // "affiliate link") next to a pitch cue; a discount or free trial mentioned alone is content.
+  // Paragraphs with a disclosure or pitch cue up to two away join the read.
+  findSponsorSegments(script) {
+    const rules = this.lintRules;
+    const segments = [];
+    const open = /^[ \t]*\[\s*(?:sponsor(?:ed)?|ad(?: read)?)\s*(?::\s*([^\]\n]*))?\]/gim;
+    const close = /^[ \t]*\[\s*(?:\/\s*(?:sponsor(?:ed)?|ad(?: read)?)|end (?:sponsor|ad)(?: read)?)\s*\][ \t]*$/gim;
+    const within = offset => segments.some(segment => offset >= segment.start && offset < segment.end);
+
+    let match;
+    while ((match = open.exec(script)) !== null) {
+      if (within(match.index)) continue;
+      close.lastIndex = match.index + match[0].length;
+      const closing = close.exec(script);
+      // Without a closing marker the read runs to the end of its paragraph
+      const end = closing ? closing.index + closing[0].length : script.slice(match.index).search(/\n[ \t]*\n|$/) + match.index;
+      segments.push({ start: match.index, end, source: 'marker', sponsor: match[1]?.trim() || null });
+    }
+
+    const cue = new RegExp(rules.sponsorCues.source, 'i');
+    const paragraphs = this.getParagraphs(script).filter(paragraph => !within(paragraph.start));
+    const anchored = paragraphs.map(paragraph => rules.explicitDisclosure.test(paragraph.text) ||
+      (rules.disclosure.test(paragraph.text) && cue.test(paragraph.text)));
+    const flagged = paragraphs.map((paragraph, i) => anchored[i] ||
+      ([-2, -1, 1, 2].some(step => anchored[i + step]) && (rules.disclosure.test(paragraph.text) || cue.test(paragraph.text))));
+    // Bridge a gap inside one read, but not the content between two reads
+    flagged.forEach((flag, i) => {
+      if (!flag && flagged[i - 1] && flagged[i + 1] && !anchored[i + 1]) flagged[i] = 'bridge';
+    });
+
+    let run = [];
+    paragraphs.forEach((paragraph, i) => {
+      if (flagged[i]) run.push({ ...paragraph, anchored: anchored[i] });
+      if (run.length > 0 && (!flagged[i] || i === paragraphs.length - 1)) {
+        const text = script.slice(run[0].start, run[run.length - 1].end);
+        const named = text.match(/\b(?:[Ss]ponsored by|[Tt]hanks to|[Pp]artnership with|[Pp]artnered with)\s+([A-Z][\w&'-]*(?:\.\w+)*(?:[ \t]+[A-Z][\w&'-]*(?:\.\w+)*)*)/);
+        if (run.some(item => item.anchored)) {
+          segments.push({ start: run[0].start, end: run[run.length - 1].end, source: 'detected', sponsor: named ? named[1] : null });
+        }
+        run = [];
+      }
+    });
+
+    return segments
+      .sort((a, b) => a.start - b.start)
+      .map(segment => ({ ...segment, text: script.slice(segment.start, segment.end) }));
+  }
+
+  // The script with its sponsor reads cut out, for measures that should only see the content
+  stripSponsorSegments(script, segments = this.findSponsorSegments(script)) {
+    return segments
+      .slice()
+      .reverse()
+      .reduce((text, segment) => `${text.slice(0, segment.start)}\n\n${text.slice(segment.end)}`, script)
+      .trim();
+  }
 }
 
-// Start the server
-const server = new YTScriptOptimizer();
-server.start();
+module.exports = YTScriptOptimizer;
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing WebSocket server');
-  process.exit(0);
-});
+// Start the server when run directly (--stdio or MCP_TRANSPORT=stdio for subprocess hosts);
+// require('./index.js') only loads the class
+if (require.main === module) {
+  const server = new YTScriptOptimizer();
+  server.start({ stdio: process.argv.includes('--stdio') || process.env.MCP_TRANSPORT === 'stdio' });
 
-process.on('SIGINT', () => {
-  console.log('SIGINT signal received: closing WebSocket server');
-  process.exit(0);
-});
+  // Handle graceful shutdown: drain in-flight requests, close sockets, then exit (a second signal exits at once)
+  process.on('SIGTERM', async () => {
+    server.log('info', 'SIGTERM signal received: draining requests and closing connections');
+    await server.stop();
+    process.exit(0);
+  });
+
+  process.on('SIGINT', async () => {
+    server.log('info', 'SIGINT signal received: draining requests and closing connections');
+    await server.stop();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,89 @@
+// Batch jobs and request cancellation
+const test = require('node:test');
+const assert = require('assert');
+const YTScriptOptimizer = require('../index.js');
+
+const script = 'Hey everyone. Today we look at sourdough bread.\n\nFeed your starter the night before. Mix the dough, then fold it every thirty minutes.\n\nBake it covered, then uncover it until the crust is deep brown.';
+const item = seed => ({ script, concept: 'sourdough bread', seed });
+
+const createOptimizer = () => {
+  const optimizer = new YTScriptOptimizer();
+  optimizer.logLevel = 'error';
+  return optimizer;
+};
+const createContext = () => {
+  const sent = [];
+  return { sent, send: message => sent.push(message), pending: [], inFlight: new Map() };
+};
+
+test('a batch job reports each script and a summary, failures included', async () => {
+  const optimizer = createOptimizer();
+  const context = createContext();
+  const started = await optimizer.handleMessage({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'batch/optimize',
+    params: { items: [item(1), { concept: 'no script' }, item(2)], concurrency: 2 }
+  }, context);
+  assert.strictEqual(started.result.status, 'running');
+  await Promise.all(context.pending);
+
+  const status = await optimizer.handleMessage({ jsonrpc: '2.0', id: 2, method: 'batch/status', params: { jobId: started.result.jobId, includeResults: true } }, context);
+  const { summary, results } = status.result;
+  assert.strictEqual(status.result.status, 'completed');
+  assert.deepStrictEqual([summary.completed, summary.failed, summary.skipped], [2, 1, 0]);
+  assert.deepStrictEqual(summary.failures[0].errors, [{ field: 'script', message: 'is required' }]);
+  assert.strictEqual(results[1].status, 'failed');
+
+  const progress = context.sent.filter(message => message.method === 'batch/progress');
+  assert.strictEqual(progress.length, 3);
+  assert.strictEqual(context.sent[context.sent.length - 1].method, 'batch/completed');
+});
+
+test('a cancelled batch starts no more scripts', async () => {
+  const optimizer = createOptimizer();
+  const context = createContext();
+  const started = await optimizer.handleMessage({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'batch/optimize',
+    params: { items: [1, 2, 3, 4, 5].map(item), concurrency: 1 }
+  }, context);
+  const cancel = await optimizer.handleMessage({ jsonrpc: '2.0', id: 2, method: 'batch/cancel', params: { jobId: started.result.jobId } }, context);
+  assert.strictEqual(cancel.result.status, 'cancelling');
+  await Promise.all(context.pending);
+
+  const { result } = await optimizer.handleMessage({ jsonrpc: '2.0', id: 3, method: 'batch/status', params: { jobId: started.result.jobId } }, context);
+  assert.strictEqual(result.status, 'cancelled');
+  assert.ok(result.summary.skipped > 0);
+});
+
+test('each client has a cap on open batch jobs', async () => {
+  const optimizer = createOptimizer();
+  optimizer.maxOpenJobs = 1;
+  const context = { ...createContext(), client: { id: 'client-a', active: 0 } };
+  const batch = id => optimizer.handleMessage({ jsonrpc: '2.0', id, method: 'batch/optimize', params: { items: [item(1)] } }, context);
+
+  const first = await batch(1);
+  const second = await batch(2);
+  assert.ok(first.result.jobId);
+  assert.strictEqual(second.error.code, -32005);
+  assert.deepStrictEqual(second.error.data, { limit: 1 });
+  await Promise.all(context.pending);
+});
+
+test('unknown jobs are invalid params', async () => {
+  const response = await createOptimizer().handleMessage({ jsonrpc: '2.0', id: 1, method: 'batch/status', params: { jobId: 'missing' } });
+  assert.strictEqual(response.error.code, -32602);
+  assert.strictEqual(response.error.data.errors[0].field, 'jobId');
+});
+
+test('notifications/cancelled stops an optimizeScript call and nothing is sent back', async () => {
+  const optimizer = createOptimizer();
+  const context = createContext();
+  const call = optimizer.handleMessage({ jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'optimizeScript', arguments: item(1) } }, context);
+  await optimizer.handleMessage({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 7 } }, context);
+
+  assert.strictEqual(await call, null);
+  assert.strictEqual(context.inFlight.size, 0);
+});
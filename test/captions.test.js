@@ -0,0 +1,69 @@
+// Caption export and transcript import
+const test = require('node:test');
+const assert = require('assert');
+const YTScriptOptimizer = require('../index.js');
+
+const optimizer = new YTScriptOptimizer();
+const script = [
+  'Most people sharpen chisels wrong. Here is the fix that takes ten minutes.',
+  'Start with a coarse stone, and keep the bevel flat against it. Work until you raise a small burr along the whole edge.',
+  'Move to the fine stone. Polish the back too, or the edge will never get truly sharp.'
+].join('\n\n');
+
+test('exported SRT and VTT import back to the same script', () => {
+  const { formats } = optimizer.exportScript({ script, formats: ['srt', 'vtt'] });
+
+  ['srt', 'vtt'].forEach(format => {
+    const imported = optimizer.importTranscript({ content: formats[format] });
+    assert.strictEqual(imported.format, format);
+    assert.strictEqual(imported.script, script);
+  });
+});
+
+test('cues follow the line limits and never overlap', () => {
+  const { cues, formats } = optimizer.exportScript({ script, maxLineLength: 32, maxLines: 2 });
+
+  cues.forEach((cue, i) => {
+    const lines = cue.text.split('\n');
+    assert.ok(lines.length <= 2);
+    lines.forEach(line => assert.ok(line.length <= 32 || !line.includes(' '), `"${line}" fits the line`));
+    assert.ok(cue.end > cue.start);
+    if (i > 0) assert.ok(cue.start >= cues[i - 1].end);
+  });
+  assert.ok(formats.vtt.startsWith('WEBVTT\n\n00:00:00.000 --> '));
+  assert.match(formats.srt, /^1\n00:00:00,000 --> 00:00:\d\d,\d{3}\n/);
+});
+
+test('stage directions and section markers stay out of the captions', () => {
+  const { cues } = optimizer.exportScript({ script: `[HOOK]\n\n${script}\n\n[B-roll: stones on the bench]`, formats: ['srt'] });
+  assert.ok(cues.every(cue => !/\[|HOOK|B-roll/.test(cue.text)));
+});
+
+test('cues read faster than the limit are reported', () => {
+  const { warnings } = optimizer.exportScript({ script, formats: ['srt'], wordsPerMinute: 400, maxCharsPerSecond: 8 });
+  assert.ok(warnings.length > 0);
+  assert.ok(warnings.every(warning => warning.type === 'reading_speed'));
+});
+
+test('import drops rolling duplicates and markup from auto-generated captions', () => {
+  const vtt = [
+    'WEBVTT',
+    '',
+    '00:00:00.000 --> 00:00:02.000',
+    '<c>so today we</c> &amp; you',
+    '',
+    '00:00:02.000 --> 00:00:03.000',
+    '<c>so today we</c> &amp; you',
+    '',
+    '00:00:03.000 --> 00:00:05.000',
+    'sharpen chisels',
+    '',
+    '00:00:07.000 --> 00:00:09.000',
+    'next the plane iron'
+  ].join('\n');
+  const imported = optimizer.importTranscript({ content: vtt });
+
+  assert.strictEqual(imported.cueCount, 3);
+  assert.strictEqual(imported.duration, 9);
+  assert.strictEqual(imported.script, 'so today we & you sharpen chisels\n\nnext the plane iron');
+});
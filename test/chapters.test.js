@@ -0,0 +1,57 @@
+// Chapter timestamps and the YouTube description
+const test = require('node:test');
+const assert = require('assert');
+const YTScriptOptimizer = require('../index.js');
+
+const optimizer = new YTScriptOptimizer();
+const body = topic => `Here is how the ${topic} works, what it costs and why it matters for a small workshop like ours. We will look at the setup, the mistakes people make and how to avoid them.`;
+const script = [
+  '[HOOK]',
+  'Most people set up their workbench wrong. Here is the fix.',
+  '[INTRO]',
+  'Welcome to the shop. Today we build a workbench that lasts for decades.',
+  '[BODY]',
+  `Step 1: cut the legs. ${body('leg jig')}`,
+  `Step 2: build the frame. ${body('frame')}`,
+  `Step 3: glue up the top. ${body('top')}`,
+  `Finally, finish the surface. ${body('finish')}`,
+  '[CONCLUSION]',
+  'That is the whole build. Tell me in the comments what you will make on it first.'
+].join('\n\n');
+const keywords = { recommended: { primary: [{ keyword: 'workbench' }], secondary: [{ keyword: 'woodworking' }] } };
+
+test('chapters meet YouTube\'s rules: start at 0:00, at least three, ten seconds or more, in order', () => {
+  const { chapters, valid, warnings } = optimizer.generateChapters({ script, concept: 'workbench build', keywords });
+
+  assert.ok(valid);
+  assert.deepStrictEqual(warnings, []);
+  assert.ok(chapters.length >= 3);
+  assert.strictEqual(chapters[0].timestamp, '0:00');
+  chapters.forEach((chapter, i) => {
+    assert.ok(chapter.endTime - chapter.startTime >= 10, `chapter ${i + 1} runs ten seconds or more`);
+    if (i > 0) assert.ok(chapter.startTime >= chapters[i - 1].endTime - 1, `chapter ${i + 1} starts after the one before`);
+  });
+});
+
+test('each step gets its own numbered chapter', () => {
+  const { chapters } = optimizer.generateChapters({ script, concept: 'workbench build', keywords });
+  const steps = chapters.filter(chapter => /^Step \d+/.test(chapter.title));
+
+  assert.deepStrictEqual(steps.map(chapter => chapter.title.match(/^Step (\d+)/)[1]), ['1', '2', '3', '4']);
+});
+
+test('the description lists the chapters and the keyword hashtags', () => {
+  const { chapters, description, hashtags } = optimizer.generateChapters({ script, concept: 'workbench build', keywords, hashtagCount: 2 });
+
+  assert.deepStrictEqual(hashtags, ['#workbench', '#woodworking']);
+  assert.ok(description.includes(`Chapters:\n${chapters.map(chapter => `${chapter.timestamp} ${chapter.title}`).join('\n')}`));
+  assert.ok(description.endsWith('#workbench #woodworking'));
+});
+
+test('a script too short for three chapters is flagged, not padded', () => {
+  const result = optimizer.generateChapters({ script: 'Quick tip: oil your plane.\n\nThat is it.', concept: 'plane care' });
+
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.warnings[0].type, 'chapters_invalid');
+  assert.strictEqual(result.chapters[0].startTime, 0);
+});
@@ -0,0 +1,54 @@
+// Command-line runner: output formats and exit codes
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const cli = path.join(__dirname, '..', 'cli.js');
+const run = (...args) => spawnSync(process.execPath, [cli, ...args], {
+  encoding: 'utf8',
+  env: { ...process.env, LOG_LEVEL: 'error', REWRITE_PROVIDER: '' },
+  timeout: 60000
+});
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yt-script-cli-'));
+const scriptFile = path.join(dir, 'sourdough-bread.md');
+fs.writeFileSync(scriptFile, 'Hey everyone. Today we bake sourdough bread.\n\nThis loaf is guaranteed to work every time.\n\nFeed your starter the night before. Mix the dough, then fold it every thirty minutes.\n\nBake it covered, then uncover it until the crust is deep brown.\n');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('--help exits 0 with the usage', () => {
+  const result = run('--help');
+  assert.strictEqual(result.status, 0);
+  assert.match(result.stdout, /^Usage: yt-script-optimizer/);
+});
+
+test('bad arguments exit 2', () => {
+  assert.strictEqual(run(scriptFile, '--bogus').status, 2);
+  assert.strictEqual(run(scriptFile, '--format', 'xml').status, 2);
+  assert.strictEqual(run(scriptFile, '--max-warnings', '-1').status, 2);
+  assert.strictEqual(run(path.join(dir, 'missing.md')).status, 2);
+});
+
+test('--max-warnings exits 1 only when the total is over the limit', () => {
+  const json = run(scriptFile, '--no-rewrite', '--format', 'json');
+  assert.strictEqual(json.status, 0);
+  const [result] = JSON.parse(json.stdout);
+  assert.strictEqual(result.file, scriptFile);
+  assert.strictEqual(result.concept, 'sourdough bread');
+  const warnings = result.warnings.length;
+  assert.ok(warnings > 0, 'the absolute claim is a warning');
+
+  assert.strictEqual(run(scriptFile, '--no-rewrite', '--max-warnings', String(warnings - 1)).status, 1);
+  assert.strictEqual(run(scriptFile, '--no-rewrite', '--max-warnings', String(warnings)).status, 0);
+});
+
+test('--format script writes the optimized script next to the input', () => {
+  const result = run(scriptFile, '--no-rewrite', '--format', 'script', '--seed', '1');
+  const written = path.join(dir, 'sourdough-bread.optimized.md');
+
+  assert.strictEqual(result.status, 0);
+  assert.ok(fs.existsSync(written));
+  assert.ok(fs.readFileSync(written, 'utf8').includes('sourdough bread'));
+});
@@ -0,0 +1,64 @@
+// Call-to-action planning: repeated asks, placements and editor cues
+const test = require('node:test');
+const assert = require('assert');
+const YTScriptOptimizer = require('../index.js');
+
+const optimizer = new YTScriptOptimizer();
+const grits = ['80', '120', '180', '220'];
+const fill = count => Array.from({ length: count }, (_, i) => `Sand the board with ${grits[i % 4]} grit paper and wipe the dust off before the next pass.`).join(' ');
+const script = [
+  'Most people skip sanding. Here is why that ruins the finish.',
+  `Subscribe if you want more shop tips. ${fill(3)}`,
+  fill(4),
+  `Don't forget to subscribe! ${fill(3)}`,
+  `The subscribe button is right under this video if you missed it earlier. ${fill(3)}`,
+  fill(4),
+  'That is the whole finish. What grit do you stop at?'
+].join('\n\n');
+
+const plan = () => optimizer.callTool('planCallsToAction', { script, concept: 'wood finishing' });
+
+test('a short ask that repeats an earlier one is cut from the script', async () => {
+  const result = await plan();
+
+  assert.deepStrictEqual(result.removals.map(removal => removal.original), ['Don\'t forget to subscribe! ']);
+  assert.ok(!result.script.includes('Don\'t forget to subscribe!'));
+  assert.ok(result.script.includes('Subscribe if you want more shop tips.'));
+  assert.ok(result.script.includes('Sand the board with 80 grit paper and wipe the dust off before the next pass. Sand'));
+});
+
+test('a repeat that says more than the ask is only suggested', async () => {
+  const result = await plan();
+
+  assert.strictEqual(result.suggestions.length, 1);
+  assert.match(result.suggestions[0].text, /^The subscribe button is right under this video/);
+  assert.ok(result.script.includes('The subscribe button is right under this video'));
+});
+
+test('no second subscribe is placed when the script already asks for one', async () => {
+  const result = await plan();
+  const spoken = result.placements.filter(placement => !placement.cue);
+
+  assert.ok(!spoken.some(placement => placement.kind === 'subscribe'));
+  assert.strictEqual((result.script.match(/subscribe/gi) || []).length, 2);
+});
+
+test('end screen and card cues come back in the plan but stay out of the script', async () => {
+  const result = await plan();
+  const card = result.placements.find(placement => placement.kind === 'card');
+  const endScreen = result.placements.find(placement => placement.kind === 'end_screen');
+
+  assert.ok(card && endScreen);
+  assert.ok(card.time < endScreen.time);
+  assert.ok(result.duration - endScreen.time >= 5 && result.duration - endScreen.time <= 20);
+  assert.ok(!result.script.includes('[CARD') && !result.script.includes('[END SCREEN'));
+});
+
+test('optimizeScript applies the cut as a cta_duplicate patch', async () => {
+  const result = await optimizer.optimizeScript({ script, concept: 'wood finishing', rewrite: false, seed: 1 });
+  const patch = result.patches.find(candidate => candidate.rule === 'cta_duplicate');
+
+  assert.strictEqual(patch.original, 'Don\'t forget to subscribe! ');
+  assert.strictEqual(patch.text, '');
+  assert.ok(result.callsToAction.removals.some(removal => removal.patchId === patch.id));
+});
@@ -0,0 +1,32 @@
+// Seeded, repeatable optimizeScript output
+const test = require('node:test');
+const assert = require('assert');
+const YTScriptOptimizer = require('../index.js');
+
+const script = 'Hey everyone, welcome back.\n\nSo, sanding matters more than stain. Basically, this technique saves hours. Then wipe the board clean, because the dust will ruin the finish if it stays on the surface for long; and always check the light.\n\nThat is it.';
+const optimize = (seed, optimizer = new YTScriptOptimizer()) => optimizer.optimizeScript({ script, concept: 'wood sanding', optimizationLevel: 'aggressive', rewrite: false, seed });
+const stable = ({ generatedAt, ...result }) => result;
+
+test('the same seed gives the same result, on any instance', async () => {
+  const first = await optimize('abc');
+  const second = await optimize('abc');
+
+  assert.strictEqual(first.seed, second.seed);
+  assert.deepStrictEqual(stable(first), stable(second));
+});
+
+test('without a seed the script itself is the seed', async () => {
+  const first = await optimize(undefined);
+  const second = await optimize(undefined);
+
+  assert.strictEqual(first.seed, second.seed);
+  assert.strictEqual(first.optimized.script, second.optimized.script);
+});
+
+test('different seeds pick different phrases', async () => {
+  const scripts = new Set();
+  for (const seed of [1, 2, 3, 4, 5, 6, 7, 8]) {
+    scripts.add((await optimize(seed)).optimized.script);
+  }
+  assert.ok(scripts.size > 1);
+});
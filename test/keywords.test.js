@@ -0,0 +1,54 @@
+// Keyword matching: inflected forms, word order and false friends
+const test = require('node:test');
+const assert = require('assert');
+const YTScriptOptimizer = require('../index.js');
+
+const optimizer = new YTScriptOptimizer();
+const count = (text, keyword, options) => optimizer.countKeyword(text, keyword, options);
+
+test('plurals and singulars match each other', () => {
+  assert.strictEqual(count('One camera, two cameras.', 'camera'), 2);
+  assert.strictEqual(count('A battery and spare batteries.', 'batteries'), 2);
+  assert.strictEqual(count('Clean the lens.', 'lens'), 1);
+});
+
+test('a verb form matches the rest of the verb', () => {
+  assert.strictEqual(count('I edit, she edits, we edited.', 'editing'), 3);
+  assert.strictEqual(count('Bake it, then keep baking.', 'baking'), 2);
+  assert.strictEqual(count('We shopped early.', 'shopping'), 1);
+});
+
+test('"video editing" also matches "edit videos"', () => {
+  assert.strictEqual(count('Video editing is easier once you edit videos daily.', 'video editing'), 2);
+});
+
+test('agent nouns and doubled consonants are not taken apart', () => {
+  assert.strictEqual(count('Ham, a ban, supper and a bet.', 'hammer'), 0);
+  assert.strictEqual(count('Ban it.', 'banner'), 0);
+  assert.strictEqual(count('A bet.', 'better'), 0);
+  assert.strictEqual(count('The editor cut it.', 'editing'), 0);
+  assert.strictEqual(count('They wed in June.', 'wedding'), 0);
+});
+
+test('words that only look inflected stay whole', () => {
+  assert.strictEqual(count('Every eve counts.', 'evening'), 0);
+  assert.strictEqual(count('Speeds vary.', 'speed'), 1);
+  assert.strictEqual(count('The spee is wrong.', 'speed'), 0);
+});
+
+test('function words are not inflected', () => {
+  assert.strictEqual(count('As a rule, a tripod helps.', 'a'), 2);
+  assert.deepStrictEqual(optimizer.wordForms('a'), ['a']);
+});
+
+test('possessives and variants count', () => {
+  assert.strictEqual(count("The camera's sensor.", 'camera'), 1);
+  assert.strictEqual(count('Grab a DSLR today.', 'camera', { variants: { camera: ['dslr'] } }), 1);
+});
+
+test('analyzeScript reports the forms that matched, leaving out sponsor copy', () => {
+  const script = 'Editing matters. I edit every day.\n\nThis video is sponsored by Acme. Acme makes editing easy.\n\nBack to the video: edited clips go last.';
+  const { keywordOccurrences, keywordForms } = optimizer.analyzeScript(script, ['editing']);
+  assert.strictEqual(keywordOccurrences.editing, 3);
+  assert.deepStrictEqual(keywordForms.editing, { editing: 1, edit: 1, edited: 1 });
+});
@@ -0,0 +1,46 @@
+// Sentence splitting, syllables and readability per language
+const test = require('node:test');
+const assert = require('assert');
+const YTScriptOptimizer = require('../index.js');
+
+const optimizer = new YTScriptOptimizer();
+const samples = {
+  en: ['Hi all.', 'Mr. Smith bakes bread.', 'Do you like bread?'],
+  es: ['Hola a todos.', 'El Sr. García cocina pan.', '¿Te gusta el pan?'],
+  de: ['Hallo zusammen.', 'Dr. Müller backt Brot, z. B. Roggenbrot.', 'Magst du Brot?'],
+  pt: ['Olá pessoal.', 'O Sr. Silva faz pão.', 'Você gosta de pão?']
+};
+
+test('abbreviations don\'t end a sentence in any supported language', () => {
+  Object.entries(samples).forEach(([language, sentences]) => {
+    const found = optimizer.getSentences(sentences.join(' '), 0, language).map(sentence => sentence.text);
+    assert.deepStrictEqual(found, sentences, language);
+  });
+});
+
+test('readability uses the formula made for each language', () => {
+  const formulas = Object.fromEntries(Object.entries(samples).map(([language, sentences]) =>
+    [language, optimizer.analyzeScript(sentences.join(' '), [], { language }).readabilityScore.formula]));
+
+  assert.deepStrictEqual(formulas, {
+    en: 'Flesch Reading Ease',
+    es: 'Fernández-Huerta',
+    de: 'Amstad',
+    pt: 'Flesch (Martins et al.)'
+  });
+});
+
+test('syllables are counted by the language\'s vowel rules', () => {
+  assert.strictEqual(optimizer.countSyllables('cocina', 'es'), 3);
+  assert.strictEqual(optimizer.countSyllables('Brot', 'de'), 1);
+  assert.strictEqual(optimizer.countSyllables('pão', 'pt'), 1);
+  assert.strictEqual(optimizer.countSyllables('bread', 'en'), 1);
+});
+
+test('an unsupported language is not scored and is reported', async () => {
+  const analysis = optimizer.analyzeScript('Bonjour tout le monde.', [], { language: 'fr' });
+  assert.strictEqual(analysis.readabilityScore.score, null);
+
+  const result = await optimizer.optimizeScript({ script: 'Bonjour tout le monde.', concept: 'pain', language: 'fr', rewrite: false });
+  assert.strictEqual(result.warnings[0].type, 'unsupported_language');
+});
@@ -0,0 +1,96 @@
+// API keys, rate limits and payload limits on the network server
+const test = require('node:test');
+const assert = require('assert');
+const WebSocket = require('ws');
+const YTScriptOptimizer = require('../index.js');
+
+const ping = id => JSON.stringify({ jsonrpc: '2.0', id, method: 'ping' });
+
+const startServer = async (settings = {}) => {
+  const optimizer = new YTScriptOptimizer();
+  Object.assign(optimizer, { port: 0, logLevel: 'error', apiKeys: ['secret-key'] }, settings);
+  optimizer.start();
+  await new Promise(resolve => optimizer.httpServer.once('listening', resolve));
+  const url = `http://127.0.0.1:${optimizer.httpServer.address().port}`;
+  const post = (body, headers = { Authorization: 'Bearer secret-key' }) => fetch(`${url}/mcp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body
+  });
+  return { optimizer, url, post };
+};
+
+test('/mcp needs a valid key, as a bearer token or X-API-Key', async () => {
+  const { optimizer, post } = await startServer();
+  try {
+    const missing = await post(ping(1), {});
+    assert.strictEqual(missing.status, 401);
+    assert.strictEqual((await missing.json()).error.code, -32002);
+    assert.strictEqual((await post(ping(2), { Authorization: 'Bearer wrong-key' })).status, 401);
+
+    const bearer = await post(ping(3));
+    assert.strictEqual(bearer.status, 200);
+    assert.strictEqual((await bearer.json()).result.status, 'ok');
+    assert.strictEqual((await post(ping(4), { 'X-API-Key': 'secret-key' })).status, 200);
+  } finally {
+    await optimizer.stop();
+  }
+});
+
+test('WebSocket upgrades without a key are refused, ?api_key= is accepted', async () => {
+  const { optimizer, url } = await startServer();
+  const connect = query => new Promise(resolve => {
+    const ws = new WebSocket(`${url.replace('http', 'ws')}/${query}`);
+    ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+    ws.on('open', () => {
+      ws.close();
+      resolve('open');
+    });
+  });
+  try {
+    assert.strictEqual(await connect(''), 401);
+    assert.strictEqual(await connect('?api_key=secret-key'), 'open');
+  } finally {
+    await optimizer.stop();
+  }
+});
+
+test('messages past the rate limit get 429 with Retry-After and -32004', async () => {
+  const { optimizer, post } = await startServer({ rateLimit: { requests: 2, windowMs: 60 * 1000 } });
+  try {
+    assert.strictEqual((await post(ping(1))).status, 200);
+    assert.strictEqual((await post(ping(2))).status, 200);
+
+    const limited = await post(ping(3));
+    const body = await limited.json();
+    assert.strictEqual(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.strictEqual(body.error.code, -32004);
+    assert.strictEqual(body.id, 3);
+    assert.strictEqual(body.error.data.limit, 2);
+  } finally {
+    await optimizer.stop();
+  }
+});
+
+test('oversized payloads get 413 and -32003', async () => {
+  const { optimizer, post } = await startServer({ maxPayloadBytes: 200 });
+  try {
+    const response = await post(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping', params: { padding: 'x'.repeat(500) } }));
+    assert.strictEqual(response.status, 413);
+    assert.strictEqual((await response.json()).error.code, -32003);
+  } finally {
+    await optimizer.stop();
+  }
+});
+
+test('health stays open while /metrics needs the key', async () => {
+  const { optimizer, url } = await startServer();
+  try {
+    assert.strictEqual((await fetch(`${url}/healthz`)).status, 200);
+    assert.strictEqual((await fetch(`${url}/metrics`)).status, 401);
+    assert.strictEqual((await fetch(`${url}/metrics`, { headers: { 'X-API-Key': 'secret-key' } })).status, 200);
+  } finally {
+    await optimizer.stop();
+  }
+});
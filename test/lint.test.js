@@ -0,0 +1,43 @@
+// Claims, compliance and brand-safety linter
+const test = require('node:test');
+const assert = require('assert');
+const YTScriptOptimizer = require('../index.js');
+
+const optimizer = new YTScriptOptimizer();
+const script = 'This tea cures headaches. Use code BREW for 20% off.\n\nWhat a hell of a day. Smash that like button if you agree. Comment "TEA" to win a mug.';
+
+test('each finding has its type, severity and the offset of the text it flags', () => {
+  const { findings, counts, passed } = optimizer.lintScript(script);
+
+  assert.deepStrictEqual(findings.map(finding => [finding.type, finding.severity]), [
+    ['absolute_claim', 'error'],
+    ['sponsorship_disclosure', 'error'],
+    ['profanity', 'info'],
+    ['engagement_bait', 'warning'],
+    ['engagement_bait', 'warning']
+  ]);
+  findings.forEach(finding => assert.strictEqual(script.slice(finding.offset, finding.offset + finding.length), finding.text));
+  assert.deepStrictEqual(counts, { error: 2, warning: 2, info: 1 });
+  assert.strictEqual(passed, false);
+});
+
+test('a disclosure before the pitch satisfies the sponsorship check', () => {
+  const { findings } = optimizer.lintScript('This video is sponsored by Brewly. Use code BREW for 20% off.');
+  assert.ok(!findings.some(finding => finding.type === 'sponsorship_disclosure'));
+});
+
+test('a clean script passes', () => {
+  const result = optimizer.lintScript('Steep the leaves for three minutes. What do you add to yours?');
+  assert.deepStrictEqual(result.findings, []);
+  assert.strictEqual(result.passed, true);
+});
+
+test('findings in inserted patch text point at the patch', () => {
+  const original = 'Steep the leaves for three minutes.';
+  const patch = { id: 'patch-1', offset: original.length, length: 0, text: ' It cures colds.' };
+  const [finding] = optimizer.lintScript(original, { patches: [patch] }).findings;
+
+  assert.strictEqual(finding.type, 'absolute_claim');
+  assert.strictEqual(finding.patchId, 'patch-1');
+  assert.strictEqual(finding.offset, original.length);
+});
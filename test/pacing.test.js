@@ -0,0 +1,65 @@
+// Pacing model, and chapters and captions sharing its clock
+const test = require('node:test');
+const assert = require('assert');
+const YTScriptOptimizer = require('../index.js');
+
+const paragraphs = [];
+for (let i = 1; i <= 50; i++) {
+  paragraphs.push(`${i % 6 === 0 ? 'Next, ' : ''}Part ${i} of the build covers a $1,250 budget, the parts list and why each piece matters. Keep the receipts [pause 2s] and label every cable before you start.`);
+}
+const script = paragraphs.join('\n\n');
+
+const createOptimizer = () => {
+  const optimizer = new YTScriptOptimizer();
+  optimizer.registerProfile({
+    profile: {
+      id: 'slow-talker',
+      calibration: { sample: paragraphs.slice(0, 3).join('\n\n'), durationSeconds: 45 }
+    }
+  });
+  return optimizer;
+};
+
+// Every chapter starts on a cue: chapter times are rounded to the second
+const assertSameClock = (chapters, cues) => {
+  chapters.forEach(chapter => {
+    const cue = cues.find(candidate => Math.abs(candidate.start - chapter.startTime) <= 0.5);
+    assert.ok(cue, `a cue starts with the chapter at ${chapter.timestamp}`);
+  });
+};
+
+test('$1,250 is read as six words', () => {
+  const optimizer = createOptimizer();
+  assert.strictEqual(optimizer.estimateSpeech('$1,250').words, 6);
+});
+
+test('caption cues and chapters run on the same clock over a long script', () => {
+  const optimizer = createOptimizer();
+  const { chapters } = optimizer.generateChapters({ script, concept: 'pc build' });
+  const exported = optimizer.exportScript({ script, formats: ['srt'] });
+
+  assert.ok(exported.duration > 600, 'the script runs past ten minutes');
+  assert.ok(chapters.length >= 3);
+  assertSameClock(chapters, exported.cues);
+  assert.ok(Math.abs(exported.duration - optimizer.getTimeline(script).duration) < 0.01);
+});
+
+test('the profile calibration moves chapters and captions together', () => {
+  const optimizer = createOptimizer();
+  const plain = optimizer.exportScript({ script, formats: ['srt'] });
+  const { chapters } = optimizer.generateChapters({ script, concept: 'pc build', profile: 'slow-talker' });
+  const exported = optimizer.exportScript({ script, formats: ['srt'], profile: 'slow-talker' });
+
+  assert.notStrictEqual(exported.duration, plain.duration);
+  assertSameClock(chapters, exported.cues);
+  assert.ok(Math.abs(exported.duration - optimizer.getTimeline(script, { profile: optimizer.resolveProfile('slow-talker') }).duration) < 0.01);
+});
+
+test('pause markers add time but stay out of the cue text', () => {
+  const optimizer = createOptimizer();
+  const { cues } = optimizer.exportScript({ script: 'Wait for it. [pause 3s] There it is.', formats: ['vtt'] });
+  const { cues: without } = optimizer.exportScript({ script: 'Wait for it. There it is.', formats: ['vtt'] });
+
+  assert.ok(cues.every(cue => !cue.text.includes('[')));
+  assert.ok(Math.abs(cues[cues.length - 1].end - without[without.length - 1].end - 3) < 0.01);
+});
@@ -0,0 +1,44 @@
+// Patch lists from optimizeScript and applying a chosen subset
+const test = require('node:test');
+const assert = require('assert');
+const YTScriptOptimizer = require('../index.js');
+
+const optimizer = new YTScriptOptimizer();
+const script = 'Hey everyone, welcome back.\n\nSo, sanding matters more than stain. Basically, this technique saves hours. Then wipe the board clean, because the dust will ruin the finish if it stays on the surface for long; and always check the light.\n\nThat is it.';
+const optimize = () => optimizer.optimizeScript({ script, concept: 'wood sanding', optimizationLevel: 'aggressive', rewrite: false, seed: 1 });
+
+test('each patch points at the original text it replaces, without overlaps', async () => {
+  const { patches } = await optimize();
+
+  assert.ok(patches.length > 1);
+  patches.forEach(patch => assert.strictEqual(script.slice(patch.offset, patch.offset + patch.length), patch.original, patch.id));
+  const sorted = [...patches].sort((a, b) => a.offset - b.offset);
+  sorted.slice(1).forEach((patch, i) => assert.ok(patch.offset >= sorted[i].offset + sorted[i].length, `${patch.id} starts after ${sorted[i].id}`));
+});
+
+test('accepting every patch gives the optimized script', async () => {
+  const result = await optimize();
+  const applied = optimizer.applyPatches({ script, patches: result.patches, patchIds: result.patches.map(patch => patch.id) });
+
+  assert.strictEqual(applied.script, result.optimized.script);
+  assert.deepStrictEqual(applied.rejected, []);
+});
+
+test('a subset applies only the chosen patches and reports unknown IDs', async () => {
+  const { patches } = await optimize();
+  const [chosen] = patches;
+  const applied = optimizer.applyPatches({ script, patches, patchIds: [chosen.id, 'patch-999'] });
+
+  assert.strictEqual(applied.script, script.slice(0, chosen.offset) + chosen.text + script.slice(chosen.offset + chosen.length));
+  assert.deepStrictEqual(applied.applied, [chosen.id]);
+  assert.strictEqual(applied.rejected.length, patches.length - 1);
+  assert.deepStrictEqual(applied.unknown, ['patch-999']);
+});
+
+test('diffWords reports insertions and deletions word by word', () => {
+  const { changes, stats } = optimizer.diffWords('Sand the board well.', 'Sand the oak board.');
+
+  assert.deepStrictEqual(stats, { wordsAdded: 2, wordsRemoved: 2, wordsUnchanged: 2 });
+  assert.strictEqual(changes.filter(change => change.type !== 'insert').map(change => change.text).join(''), 'Sand the board well.');
+  assert.strictEqual(changes.filter(change => change.type !== 'delete').map(change => change.text).join(''), 'Sand the oak board.');
+});
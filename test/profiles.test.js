@@ -0,0 +1,73 @@
+// Channel profiles: validation, phrases, styles and the save gate
+const test = require('node:test');
+const assert = require('assert');
+const YTScriptOptimizer = require('../index.js');
+
+const profile = {
+  id: 'crumb-club',
+  cta: 'Hit subscribe and bake along with the Crumb Club!',
+  signOff: 'Happy baking!',
+  bannedPhrases: ['smash that like button'],
+  tips: ['Show the crumb shot before the verdict'],
+  styles: { recipe: { basedOn: 'tutorial', structure: ['Hook', 'Ingredients', 'Method'] } }
+};
+const script = 'Hey everyone, welcome back.\n\nMix the flour and water. Rest it for an hour.\n\nBake at 250 degrees until deep brown.';
+
+const createOptimizer = () => {
+  const optimizer = new YTScriptOptimizer();
+  optimizer.logLevel = 'error';
+  optimizer.profileSaveAllowed = false;
+  optimizer.registerProfile({ profile });
+  return optimizer;
+};
+const optimize = (optimizer, args = {}) => optimizer.optimizeScript({ script, concept: 'sourdough bread', profile: 'crumb-club', rewrite: false, seed: 1, ...args });
+
+test('the profile\'s CTA, sign-off and tips are used', async () => {
+  const result = await optimize(createOptimizer());
+
+  assert.ok(result.optimized.script.includes(profile.cta));
+  assert.ok(result.optimized.script.endsWith('Happy baking!'));
+  assert.ok(result.tips.includes('Show the crumb shot before the verdict'));
+  assert.strictEqual(result.profile, 'crumb-club');
+});
+
+test('a custom style is accepted and brings its structure', async () => {
+  const result = await optimize(createOptimizer(), { contentStyle: 'recipe' });
+  const structure = result.structureRecommendations.find(entry => entry.section === 'structure');
+
+  assert.deepStrictEqual(structure.sections, ['Hook', 'Ingredients', 'Method']);
+});
+
+test('banned phrases in the script are warnings', async () => {
+  const result = await optimize(createOptimizer(), { script: `${script} Smash that like button if you agree.` });
+  assert.ok(result.warnings.some(warning => warning.type === 'banned_phrase'));
+});
+
+test('invalid profiles are refused with every problem listed', () => {
+  const optimizer = createOptimizer();
+  assert.throws(
+    () => optimizer.registerProfile({ profile: { id: 'bad id', keywordDensity: { min: 3, max: 2 } } }),
+    /profile\.id must only contain letters, digits, - and _; profile\.keywordDensity must satisfy min <= target <= max/
+  );
+  assert.throws(() => optimizer.registerProfile({ profile: { id: 'extra', colour: 'red' } }), /profile\.colour is not allowed/);
+});
+
+test('unknown profiles and saving without permission are errors', async () => {
+  const optimizer = createOptimizer();
+  await assert.rejects(() => optimize(optimizer, { profile: 'nope' }), /Unknown profile: nope/);
+  assert.throws(() => optimizer.registerProfile({ profile, save: true }), /Saving profiles is disabled/);
+});
+
+test('registering a profile tells connected clients the tool list changed', () => {
+  const optimizer = createOptimizer();
+  const sent = [];
+  optimizer.listeners.add({ send: message => sent.push(message) });
+
+  const result = optimizer.registerProfile({ profile: { ...profile, tips: [] } });
+  assert.strictEqual(result.replaced, true);
+  assert.deepStrictEqual(sent, [{ jsonrpc: '2.0', method: 'notifications/tools/list_changed' }]);
+
+  const schema = optimizer.getToolDefinitions().find(tool => tool.name === 'optimizeScript').inputSchema;
+  assert.ok(schema.properties.contentStyle.enum.includes('recipe'));
+  assert.deepStrictEqual(schema.properties.profile.enum, ['crumb-club']);
+});
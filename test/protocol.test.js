@@ -0,0 +1,59 @@
+// MCP handshake, notifications and JSON-RPC batches
+const test = require('node:test');
+const assert = require('assert');
+const YTScriptOptimizer = require('../index.js');
+
+const optimizer = new YTScriptOptimizer();
+optimizer.logLevel = 'error';
+const context = () => optimizer.createContext(() => {});
+
+test('initialize keeps a supported protocol version and offers the latest otherwise', async () => {
+  const session = context();
+  const supported = await optimizer.handleMessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', clientInfo: { name: 'test' } } }, session);
+  assert.strictEqual(supported.result.protocolVersion, '2025-03-26');
+  assert.deepStrictEqual(supported.result.capabilities, { tools: { listChanged: true } });
+  assert.strictEqual(session.session.protocolVersion, '2025-03-26');
+  assert.deepStrictEqual(session.session.clientInfo, { name: 'test' });
+
+  const unknown = await optimizer.handleMessage({ jsonrpc: '2.0', id: 2, method: 'initialize', params: { protocolVersion: '1999-01-01' } }, context());
+  assert.strictEqual(unknown.result.protocolVersion, optimizer.protocolVersions[0]);
+});
+
+test('notifications get no reply, and initialized marks the session', async () => {
+  const session = context();
+  assert.strictEqual(await optimizer.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' }, session), null);
+  assert.strictEqual(session.session.initialized, true);
+  assert.strictEqual(await optimizer.handleMessage({ jsonrpc: '2.0', method: 'notifications/unknown' }, session), null);
+});
+
+test('tools/list publishes every tool with an input schema', async () => {
+  const { result } = await optimizer.handleMessage({ jsonrpc: '2.0', id: 1, method: 'tools/list' }, context());
+  const names = result.tools.map(tool => tool.name);
+
+  ['optimizeScript', 'generateChapters', 'applyPatches', 'exportScript', 'importTranscript', 'lintScript'].forEach(name => assert.ok(names.includes(name), name));
+  result.tools.forEach(tool => assert.strictEqual(tool.inputSchema.type, 'object', tool.name));
+});
+
+test('a batch answers each request in order and leaves out notifications', async () => {
+  const responses = await optimizer.handleMessage([
+    { jsonrpc: '2.0', id: 'a', method: 'ping' },
+    { jsonrpc: '2.0', method: 'notifications/initialized' },
+    { jsonrpc: '2.0', id: 'b', method: 'nope' }
+  ], context());
+
+  assert.deepStrictEqual(responses.map(response => response.id), ['a', 'b']);
+  assert.strictEqual(responses[0].result.status, 'ok');
+  assert.strictEqual(responses[1].error.code, -32601);
+});
+
+test('tool results come back as MCP text content', async () => {
+  const response = await optimizer.handleMessage({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'tools/call',
+    params: { name: 'lintScript', arguments: { script: 'This works every time.' } }
+  }, context());
+
+  assert.strictEqual(response.result.content[0].type, 'text');
+  assert.ok(Array.isArray(JSON.parse(response.result.content[0].text).findings));
+});
@@ -0,0 +1,57 @@
+// Rewrite stage against the offline mock backend
+const test = require('node:test');
+const assert = require('assert');
+const YTScriptOptimizer = require('../index.js');
+
+const opening = 'Baking sourdough bread at home takes a little patience, a healthy starter, a hot oven and a few simple tricks that most recipes never bother to explain properly.';
+const script = [
+  opening,
+  'Feed your starter the night before so it is bubbly and active. Use equal parts flour and water, and keep it somewhere warm.',
+  'Mix the dough with flour, water and salt, then fold it every thirty minutes for two hours.',
+  'Bake it covered for twenty minutes, then uncover it until the crust is deep brown.'
+].join('\n\n');
+const args = {
+  script,
+  concept: 'sourdough bread',
+  keywords: { recommended: { primary: [{ keyword: 'sourdough bread' }] } },
+  seed: 1
+};
+
+const createOptimizer = provider => {
+  const optimizer = new YTScriptOptimizer();
+  optimizer.rewriter = provider || optimizer.createRewriter({ REWRITE_PROVIDER: 'mock' });
+  return optimizer;
+};
+
+test('arguments match the optimizeScript schema', () => {
+  const optimizer = createOptimizer();
+  const schema = optimizer.getToolDefinitions().find(tool => tool.name === 'optimizeScript').inputSchema;
+  assert.deepStrictEqual(optimizer.validateSchema(args, schema), []);
+});
+
+test('a rewritten hook goes in front of the opening, which keeps its content', async () => {
+  const result = await createOptimizer().optimizeScript(args);
+  const hook = result.patches.find(patch => patch.rule === 'hook');
+
+  assert.ok(hook, 'the long opening gets a hook');
+  assert.strictEqual(hook.rewrittenBy, 'mock');
+  assert.strictEqual(hook.length, 0, 'the hook is inserted, not swapped for the opening');
+  assert.ok(result.rewrite.rewritten.includes(hook.id));
+  assert.strictEqual(result.optimized.script.split(opening).length - 1, 1, 'the opening sentence appears exactly once');
+  assert.ok(result.optimized.script.startsWith('Want to get better at sourdough bread?'));
+});
+
+test('a hook answer of 25 words or more is rejected and the rule-based line stands', async () => {
+  const wordy = { name: 'wordy', rewrite: async ({ keyword }) => `${'Really '.repeat(24)}${keyword}.` };
+  const result = await createOptimizer(wordy).optimizeScript(args);
+  const hook = result.patches.find(patch => patch.rule === 'hook');
+
+  assert.strictEqual(hook.rewrittenBy, undefined);
+  assert.ok(result.rewrite.rejected.some(entry => entry.patchId === hook.id && entry.reason === 'Rewrite is too long for a hook'));
+  assert.ok(result.rewrite.fallback);
+});
+
+test('rewrite: false skips the backend', async () => {
+  const result = await createOptimizer().optimizeScript({ ...args, rewrite: false });
+  assert.strictEqual(result.rewrite, null);
+});
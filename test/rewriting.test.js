@@ -0,0 +1,62 @@
+// Rule-based rewriting at the moderate and aggressive levels
+const test = require('node:test');
+const assert = require('assert');
+const YTScriptOptimizer = require('../index.js');
+
+const script = [
+  'Hey everyone, welcome back to the kitchen.',
+  'Today we fix it. Next, dial in your dose. Finally, clean your machine and descale it every month so the boiler lasts.',
+  'The grinder matters most. Then tamp evenly with about fifteen kilos of pressure, and pull a shot for thirty seconds.',
+  'First, weigh your beans. Use eighteen grams for a double shot, and keep the basket dry before you dose it.'
+].join('\n\n');
+const keywords = (primary, ...others) => ({
+  recommended: {
+    primary: [{ keyword: primary }],
+    secondary: others.map(keyword => ({ keyword }))
+  }
+});
+
+const optimizer = new YTScriptOptimizer();
+const optimize = (args, level = 'aggressive') => optimizer.optimizeScript({ script, optimizationLevel: level, rewrite: false, ...args });
+
+test('a greeting opener is replaced by a full sentence about the topic', async () => {
+  for (const seed of [1, 2, 3, 4, 5]) {
+    const result = await optimize({ concept: 'home espresso', keywords: keywords('home espresso'), seed }, 'moderate');
+    const opener = result.patches.find(patch => patch.rule === 'weak_opener' && patch.offset === 0);
+
+    assert.ok(opener, `seed ${seed} replaces the greeting`);
+    assert.match(opener.text, /^\p{Lu}.*home espresso.*[.!?]$/u);
+  }
+});
+
+test('a question keyword never fills a sentence template', async () => {
+  const result = await optimize({ concept: 'espresso', keywords: keywords('how to dial in espresso', 'espresso grinder'), seed: 1 });
+  const rules = ['weak_opener', 'hook', 'keyword_lead_in', 'keyword_spread'];
+
+  result.patches
+    .filter(patch => rules.includes(patch.rule))
+    .forEach(patch => assert.ok(!/how to dial in espresso/i.test(patch.text), `${patch.rule}: ${patch.text}`));
+});
+
+test('step and transition sentences keep their opening word', async () => {
+  const result = await optimize({ concept: 'home espresso', keywords: keywords('home espresso', 'espresso grinder', 'espresso machine'), seed: 2 });
+  const optimized = result.optimized.script;
+
+  ['Next, dial in', 'Finally, clean', 'Then tamp', 'First, weigh'].forEach(marker => {
+    assert.ok(optimized.includes(marker), `"${marker}" is left as written`);
+  });
+});
+
+test('fillSentence turns down fills that would not read as a sentence', () => {
+  const { config } = optimizer.resolveLanguage('en');
+
+  assert.strictEqual(optimizer.fillSentence('This video is all about {keyword}.', 'home espresso', config), 'This video is all about home espresso.');
+  assert.strictEqual(optimizer.fillSentence('This video is all about {keyword}.', 'how to dial in espresso', config), null);
+  assert.strictEqual(optimizer.fillSentence('Here are the basics of {keyword}.', 'of bread', config), null);
+  assert.strictEqual(optimizer.fillSentence('{keyword} matters', 'Espresso', config), null);
+});
+
+test('light leaves the script as written', async () => {
+  const result = await optimize({ concept: 'home espresso', keywords: keywords('home espresso'), seed: 1 }, 'light');
+  assert.strictEqual(result.optimized.script, script);
+});
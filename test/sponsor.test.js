@@ -0,0 +1,59 @@
+// Sponsor reads: found, left as written and kept out of the analysis
+const test = require('node:test');
+const assert = require('assert');
+const YTScriptOptimizer = require('../index.js');
+
+const optimizer = new YTScriptOptimizer();
+const read = '[SPONSOR: Acme]\nSo, this video is sponsored by Acme. Basically, Acme makes sandpaper for woodworking, and this technique works with it. Subscribe to Acme today, and use code SAND for ten percent off.\n[/SPONSOR]';
+const script = [
+  'Hey everyone, welcome back.',
+  'So, sanding matters more than stain. Basically, this technique saves hours. Then wipe the board clean.',
+  read,
+  'Basically, start at 80 grit and work up; then finish at 220 grit, and the wood will feel like glass.',
+  'That is it. What grit do you stop at?'
+].join('\n\n');
+const keywords = { recommended: { primary: [{ keyword: 'woodworking' }], secondary: [{ keyword: 'sandpaper' }] } };
+
+test('a marked read is found with its sponsor', () => {
+  const [segment] = optimizer.findSponsorSegments(script);
+
+  assert.strictEqual(segment.source, 'marker');
+  assert.strictEqual(segment.sponsor, 'Acme');
+  assert.strictEqual(segment.text, read);
+});
+
+test('a read without markers is found from its disclosure', () => {
+  const unmarked = 'Sanding comes first.\n\nThis video is sponsored by Acme. Acme sandpaper lasts twice as long, and you get ten percent off with code SAND.\n\nBack to the board.';
+  const segments = optimizer.findSponsorSegments(unmarked);
+
+  assert.strictEqual(segments.length, 1);
+  assert.strictEqual(segments[0].source, 'detected');
+  assert.strictEqual(segments[0].sponsor, 'Acme');
+  assert.match(segments[0].text, /^This video is sponsored by Acme\..*code SAND\.$/);
+});
+
+test('optimizeScript leaves the read as written, even at the aggressive level', async () => {
+  const result = await optimizer.optimizeScript({ script, concept: 'woodworking sanding', keywords, optimizationLevel: 'aggressive', rewrite: false, seed: 1 });
+  const [segment] = result.sponsorSegments;
+
+  assert.ok(result.optimized.script.includes(read));
+  result.patches.forEach(patch => {
+    const inside = patch.offset > segment.start && patch.offset < segment.end;
+    assert.ok(!inside && !(patch.offset < segment.start && patch.offset + patch.length > segment.start), `${patch.rule} stays out of the read`);
+  });
+});
+
+test('keywords in the read don\'t count toward density', () => {
+  const analysis = optimizer.analyzeScript(script, ['woodworking', 'sandpaper']);
+
+  assert.deepStrictEqual(analysis.keywordOccurrences, {});
+  assert.strictEqual(analysis.keywordDensity, '0.00');
+  assert.ok(analysis.sponsorWordCount > 0);
+});
+
+test('the sponsor\'s own asks are not the video\'s calls to action', () => {
+  const plan = optimizer.planCallsToAction(script);
+
+  assert.ok(!plan.existing.some(call => call.text.includes('Acme')));
+  assert.ok(plan.placements.some(placement => placement.rule === 'cta' && /subscribe/.test(placement.text)), 'the closing CTA still asks to subscribe');
+});
@@ -0,0 +1,59 @@
+// Tool argument validation and JSON-RPC error data
+const test = require('node:test');
+const assert = require('assert');
+const YTScriptOptimizer = require('../index.js');
+
+const optimizer = new YTScriptOptimizer();
+optimizer.logLevel = 'error';
+
+let nextId = 1;
+const call = (name, args) => optimizer.handleMessage({ jsonrpc: '2.0', id: nextId++, method: 'tools/call', params: { name, arguments: args } });
+
+test('invalid arguments come back as -32602 with each field and problem', async () => {
+  const response = await call('optimizeScript', { script: '', concept: 42, optimizationLevel: 'extreme' });
+
+  assert.strictEqual(response.error.code, -32602);
+  assert.strictEqual(response.error.data.tool, 'optimizeScript');
+  assert.deepStrictEqual(response.error.data.errors, [
+    { field: 'script', message: 'must not be empty' },
+    { field: 'concept', message: 'must be string, got number' },
+    { field: 'optimizationLevel', message: 'must be one of: light, moderate, aggressive' }
+  ]);
+  assert.match(response.error.message, /^Invalid params for optimizeScript: script must not be empty; /);
+});
+
+test('missing required arguments are named', async () => {
+  const response = await call('generateChapters', {});
+  assert.deepStrictEqual(response.error.data.errors, [{ field: 'script', message: 'is required' }]);
+});
+
+test('nested fields carry their path', async () => {
+  const response = await call('optimizeScript', {
+    script: 'Some script.',
+    concept: 'bread',
+    keywords: { recommended: { primary: [{ keyword: 7 }] } }
+  });
+  assert.deepStrictEqual(response.error.data.errors, [{ field: 'keywords.recommended.primary[0].keyword', message: 'must be string, got number' }]);
+});
+
+test('unknown tools and a missing name are invalid params', async () => {
+  const unknown = await call('doesNotExist', {});
+  assert.strictEqual(unknown.error.code, -32602);
+  assert.strictEqual(unknown.error.message, 'Unknown tool: doesNotExist');
+
+  const nameless = await optimizer.handleMessage({ jsonrpc: '2.0', id: nextId++, method: 'tools/call', params: {} });
+  assert.strictEqual(nameless.error.code, -32602);
+});
+
+test('malformed messages get the JSON-RPC error codes', async () => {
+  assert.strictEqual((await optimizer.processMessage('{not json', {})).error.code, -32700);
+  assert.strictEqual((await optimizer.handleMessage([])).error.code, -32600);
+  assert.strictEqual((await optimizer.handleMessage({ jsonrpc: '1.0', id: 1, method: 'ping' })).error.code, -32600);
+  assert.strictEqual((await optimizer.handleMessage({ jsonrpc: '2.0', id: 1, method: 'nope' })).error.code, -32601);
+});
+
+test('a failing tool is a result with isError, not a protocol error', async () => {
+  const response = await call('generateChapters', { script: '   ' });
+  assert.strictEqual(response.error, undefined);
+  assert.strictEqual(response.result.isError, true);
+});
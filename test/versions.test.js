@@ -0,0 +1,49 @@
+// Script version history and comparison
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const YTScriptOptimizer = require('../index.js');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yt-script-versions-'));
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const createOptimizer = () => {
+  const optimizer = new YTScriptOptimizer();
+  optimizer.dataDir = dataDir;
+  return optimizer;
+};
+const keywords = { recommended: { primary: [{ keyword: 'sourdough bread' }] } };
+const draft = 'Bread is easy. Mix flour and water and wait.';
+const revised = 'Sourdough bread is easy. Mix flour and water, then let the sourdough bread rise overnight.';
+
+test('versions are numbered, listed without their scripts and kept on disk', () => {
+  createOptimizer().saveVersion({ projectId: 'loaf', script: draft, keywords, label: 'draft' });
+  const second = createOptimizer().saveVersion({ projectId: 'loaf', script: revised, keywords, label: 'revised' });
+  assert.strictEqual(second.version, 2);
+
+  const listed = createOptimizer().listVersions({ projectId: 'loaf' });
+  assert.strictEqual(listed.count, 2);
+  assert.deepStrictEqual(listed.versions.map(entry => entry.label), ['draft', 'revised']);
+  assert.ok(listed.versions.every(entry => entry.script === undefined));
+  assert.strictEqual(createOptimizer().getVersion({ projectId: 'loaf', version: 1 }).script, draft);
+});
+
+test('comparing with the previous version gives deltas, a verdict and a word diff', () => {
+  const comparison = createOptimizer().compareVersions({ projectId: 'loaf', to: 2 });
+
+  assert.strictEqual(comparison.from.version, 1);
+  assert.ok(comparison.deltas.keywordsFound > 0);
+  assert.strictEqual(comparison.verdict.keywordCoverage, 1);
+  assert.ok(comparison.diffStats.wordsAdded > 0);
+  assert.strictEqual(comparison.diff.filter(change => change.type !== 'insert').map(change => change.text).join(''), draft);
+});
+
+test('project IDs can\'t leave the data directory', () => {
+  assert.throws(() => createOptimizer().saveVersion({ projectId: '../escape', script: draft }), /projectId must only contain/);
+});
+
+test('comparing the first version is an error', () => {
+  assert.throws(() => createOptimizer().compareVersions({ projectId: 'loaf', to: 1 }), /no version before 1/);
+});